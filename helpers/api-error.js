@@ -0,0 +1,11 @@
+//Error with the http status to respond with, handled by helpers/error-handler
+class ApiError extends Error {
+  constructor(statusCode, message, errors) {
+    super(message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    if (errors) this.errors = errors;
+  }
+}
+
+module.exports = ApiError;
@@ -0,0 +1,6 @@
+//Forward rejected promises of async route handlers to the error handler
+function asyncHandler(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+}
+
+module.exports = asyncHandler;
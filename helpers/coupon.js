@@ -0,0 +1,72 @@
+const ApiError = require("./api-error");
+
+//Model
+const { Coupon } = require("../models/Coupon");
+const { Order } = require("../models/Order");
+
+function couponError(message) {
+  return new ApiError(400, message, [
+    { location: "body", field: "couponCode", message },
+  ]);
+}
+
+//Check the coupon can be used by the user on this subtotal and count the use,
+//must run in the order transaction. Returns the coupon and its discount line.
+async function redeemCoupon(session, { code, userId, subtotal }) {
+  const coupon = await Coupon.findOne({
+    code: code.toUpperCase(),
+    isActive: true,
+  }).session(session);
+  if (!coupon) throw couponError("Coupon is not valid");
+  if (coupon.expiresAt && coupon.expiresAt < Date.now()) {
+    throw couponError("Coupon has expired");
+  }
+  if (subtotal < coupon.minOrderValue) {
+    throw couponError(
+      `Coupon needs a minimum order of ${coupon.minOrderValue}`
+    );
+  }
+
+  const userUsage = await Order.countDocuments({
+    user: userId,
+    coupon: coupon._id,
+    status: { $ne: "cancelled" },
+  }).session(session);
+  if (userUsage >= coupon.usageLimitPerUser) {
+    throw couponError("Coupon has already been used");
+  }
+
+  //Only counts when the global limit is not reached yet
+  const counted = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (!counted) throw couponError("Coupon has run out");
+
+  return {
+    coupon,
+    discount: {
+      label: `Coupon ${coupon.code}`,
+      amount: coupon.computeDiscount(subtotal),
+    },
+  };
+}
+
+//Give back the use of a coupon, for cancelled or deleted orders
+async function releaseCoupon(session, couponId) {
+  if (!couponId) return;
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+}
+
+module.exports = { redeemCoupon, releaseCoupon };
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const ApiError = require("./api-error");
+
+//Map known errors to [statusCode, message, errors]
+function toResponse(err) {
+  if (err instanceof ApiError) {
+    return [err.statusCode, err.message, err.errors];
+  }
+  if (err.name === "UnauthorizedError") {
+    //jwt authentication error
+    return [401, "The user is not authorized"];
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return [400, `Invalid ${err.path}: ${err.value}`];
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((fieldError) => ({
+      location: "body",
+      field: fieldError.path,
+      message: fieldError.message,
+    }));
+    return [422, "Validation failed!", errors];
+  }
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || {});
+    const errors = fields.map((field) => ({
+      location: "body",
+      field,
+      message: `${field} is already used`,
+    }));
+    return [409, "Duplicate value!", errors];
+  }
+  if (err.type === "entity.parse.failed") {
+    return [400, "Malformed JSON body"];
+  }
+  //Client errors of http-errors, e.g. a body over the limit of body-parser
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    return [status, err.message];
+  }
+  return [500, "Internal Server Error!"];
+}
+
+/**
+ * Every error response has the shape
+ * { success: false, message, errors?, requestId }
+ * where errors lists the invalid fields as { location, field, message }.
+ */
+function errorHandler(err, req, res, next) {
+  const [statusCode, message, errors] = toResponse(err);
+  if (statusCode >= 500) console.log(req.id, err);
+
+  const body = { success: false, message };
+  if (errors) body.errors = errors;
+  body.requestId = req.id;
+  return res.status(statusCode).json(body);
+}
+
+module.exports = errorHandler;
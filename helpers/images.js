@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const ApiError = require("./api-error");
+const { getStorage } = require("./storage");
+
+//Longest side of every rendition, images are never enlarged
+const RENDITIONS = {
+  thumbnail: 200,
+  medium: 600,
+  full: 1600,
+};
+
+const CONTENT_TYPES = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+//Encode an image and put it in the storage, returns its size
+async function storeImage(image, key, format) {
+  const { data, info } = await image
+    .toFormat(format, { quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+  await getStorage().put(key, data, CONTENT_TYPES[format]);
+  return info;
+}
+
+//Store one rendition in the fallback format and in webp. Re-encoding drops
+//the EXIF metadata, sharp only keeps it when asked with withMetadata().
+async function storeRendition(image, { baseName, name, size, format }) {
+  const resized = image.clone().resize(size, size, {
+    fit: "inside",
+    withoutEnlargement: true,
+  });
+  const key = `${baseName}-${name}.${format}`;
+  const webpKey = `${baseName}-${name}.webp`;
+
+  const info = await storeImage(resized.clone(), key, format);
+  await storeImage(resized.clone(), webpKey, "webp");
+  return { key, webpKey, width: info.width, height: info.height };
+}
+
+//Resize an uploaded image buffer into every rendition, in jpeg, or png for
+//png uploads to keep transparency, and in webp. Returns the product image
+//with the storage key of every file.
+async function processImage(buffer, { baseName }) {
+  const image = sharp(buffer).rotate();
+  let metadata;
+  try {
+    metadata = await image.metadata();
+  } catch (err) {
+    throw new ApiError(400, "Invalid image file");
+  }
+  const format = metadata.format === "png" ? "png" : "jpeg";
+
+  const renditions = {};
+  try {
+    //One at a time to keep the memory use of large uploads low
+    for (const [name, size] of Object.entries(RENDITIONS)) {
+      renditions[name] = await storeRendition(image, {
+        baseName,
+        name,
+        size,
+        format,
+      });
+    }
+  } catch (err) {
+    await removeImage(renditions);
+    throw err;
+  }
+  return renditions;
+}
+
+//Resize uploaded multer files into product images, all of them or none. They
+//are stored under a random name so client file names never end up in urls.
+async function processUploads(files) {
+  const images = [];
+  try {
+    //One at a time, resizing is heavy on memory
+    for (const file of files) {
+      images.push(
+        await processImage(file.buffer, {
+          baseName: crypto.randomBytes(16).toString("hex"),
+        })
+      );
+    }
+  } catch (err) {
+    await Promise.all(images.map(removeImage));
+    throw err;
+  }
+  return images;
+}
+
+//Remove every rendition file of a product image, missing files are ignored
+async function removeImage(image) {
+  if (!image) return;
+  const keys = [];
+  Object.keys(RENDITIONS).forEach((name) => {
+    if (image[name]) keys.push(image[name].key, image[name].webpKey);
+  });
+  await Promise.all(
+    keys.filter(Boolean).map((key) =>
+      getStorage()
+        .remove(key)
+        .catch((err) => console.log(err))
+    )
+  );
+}
+
+module.exports = { RENDITIONS, processImage, processUploads, removeImage };
@@ -0,0 +1,50 @@
+const expressJwt = require("express-jwt");
+const ApiError = require("./api-error");
+
+//Authenticate every request except the public ones listed below.
+//The decoded token ({ userId, isAdmin }) is available as req.user.
+function authJwt() {
+  const secret = process.env.SECRET;
+  return expressJwt({
+    secret,
+    algorithms: ["HS256"],
+  }).unless({
+    path: [
+      { url: /\/public\/uploads(.*)/, methods: ["GET", "OPTIONS"] },
+      { url: /\/api-docs(.*)/, methods: ["GET", "OPTIONS"] },
+      { url: /\/products(.*)/, methods: ["GET", "OPTIONS"] },
+      { url: /\/categories(.*)/, methods: ["GET", "OPTIONS"] },
+      { url: "/users/login", methods: ["POST", "OPTIONS"] },
+      { url: "/users", methods: ["POST", "OPTIONS"] },
+      { url: /\/users\/password-reset(.*)/, methods: ["POST", "OPTIONS"] },
+      //Signed by the payment provider instead
+      { url: /\/payments\/notifications(.*)/, methods: ["POST", "OPTIONS"] },
+    ],
+  });
+}
+
+//Route level guard, must be used behind authJwt
+function isAdmin(req, res, next) {
+  if (!req.user || !req.user.isAdmin) {
+    return next(new ApiError(403, "Admin access required!"));
+  }
+  next();
+}
+
+//Route level guard for /:id routes that a user may access on their own account
+function isAdminOrSelf(req, res, next) {
+  if (!req.user || (!req.user.isAdmin && req.user.userId !== req.params.id)) {
+    return next(new ApiError(403, "Forbidden!"));
+  }
+  next();
+}
+
+//Route level guard for /:id routes that only the account owner may access
+function isSelf(req, res, next) {
+  if (!req.user || req.user.userId !== req.params.id) {
+    return next(new ApiError(403, "Forbidden!"));
+  }
+  next();
+}
+
+module.exports = { authJwt, isAdmin, isAdminOrSelf, isSelf };
@@ -0,0 +1,63 @@
+const transports = require("./transports");
+const templates = require("./templates");
+
+//Attempts of a message before it is dropped, waiting longer after each failure
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5000;
+
+let transport;
+const queue = [];
+let isSending = false;
+
+//Transport configured by MAIL_TRANSPORT, console by default. It is created on
+//first use so the env is loaded by then. Production must choose a transport,
+//the console would print password reset links into the logs.
+function getTransport() {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+      throw new Error("MAIL_TRANSPORT is required in production");
+    }
+    const name = process.env.MAIL_TRANSPORT || "console";
+    if (!transports[name]) throw new Error(`Unknown mail transport ${name}`);
+    transport = transports[name](process.env);
+  }
+  return transport;
+}
+
+//Send the queued messages one at a time
+async function sendQueue() {
+  if (isSending) return;
+  isSending = true;
+  while (queue.length) {
+    const job = queue.shift();
+    try {
+      await getTransport().send(job.message);
+    } catch (err) {
+      job.attempts += 1;
+      if (job.attempts < MAX_ATTEMPTS) {
+        setTimeout(() => {
+          queue.push(job);
+          sendQueue();
+        }, RETRY_DELAY_MS * job.attempts);
+      } else {
+        console.log(`Mail to ${job.message.to} dropped:`, err);
+      }
+    }
+  }
+  isSending = false;
+}
+
+//Render a template of ./templates and queue it for to. Returns right away,
+//the message is sent in the background so requests never wait for the mail
+//server. The queue is in memory, messages still queued are lost on restart.
+function queueMail(templateName, to, data) {
+  const message = {
+    from: process.env.MAIL_FROM || "El-Galeri <no-reply@localhost>",
+    to,
+    ...templates[templateName](data),
+  };
+  queue.push({ message, attempts: 0 });
+  setImmediate(sendQueue);
+}
+
+module.exports = { queueMail, getTransport };
@@ -0,0 +1,120 @@
+//Every template takes the data of its event and returns
+//{ subject, text, html }, the text part is for clients without html
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatPrice(amount) {
+  const sign = amount < 0 ? "-" : "";
+  return `${sign}Rp ${Math.abs(amount).toLocaleString("id-ID")}`;
+}
+
+//Html message with the shop header, paragraphs are html strings
+function layout(paragraphs) {
+  return [
+    '<div style="font-family: sans-serif; max-width: 600px; margin: auto">',
+    "<h2>El-Galeri</h2>",
+    ...paragraphs.map((paragraph) => `<p>${paragraph}</p>`),
+    "</div>",
+  ].join("\n");
+}
+
+const STATUS_MESSAGES = {
+  pending: "is waiting for payment",
+  paid: "is paid and being prepared",
+  shipped: "is on its way",
+  delivered: "has been delivered",
+  cancelled: "has been cancelled",
+};
+
+function registration({ user }) {
+  return {
+    subject: "Welcome to El-Galeri",
+    text: `Hi ${user.name},\n\nYour El-Galeri account ${user.email} is ready. Happy shopping!`,
+    html: layout([
+      `Hi ${escapeHtml(user.name)},`,
+      `Your El-Galeri account <b>${escapeHtml(
+        user.email
+      )}</b> is ready. Happy shopping!`,
+    ]),
+  };
+}
+
+function orderPlaced({ user, order, orderItems }) {
+  const lines = orderItems.map((orderItem) => {
+    const name = orderItem.variantName
+      ? `${orderItem.productName} (${orderItem.variantName})`
+      : orderItem.productName;
+    return {
+      name,
+      text: `${orderItem.quantity} x ${name}: ${formatPrice(
+        orderItem.subtotal
+      )}`,
+    };
+  });
+  const totals = [
+    ...order.discounts.map((discount) => [discount.label, -discount.amount]),
+    ...order.taxes.map((tax) => [tax.label, tax.amount]),
+    ["Total", order.totalPrice],
+  ].map(([label, amount]) => `${label}: ${formatPrice(amount)}`);
+
+  return {
+    subject: `Order ${order.id} received`,
+    text: [
+      `Hi ${user.name},`,
+      "",
+      `We received your order ${order.id}:`,
+      ...lines.map((line) => line.text),
+      ...totals,
+    ].join("\n"),
+    html: layout([
+      `Hi ${escapeHtml(user.name)},`,
+      `We received your order <b>${escapeHtml(order.id)}</b>:`,
+      lines.map((line) => escapeHtml(line.text)).join("<br>"),
+      totals.map(escapeHtml).join("<br>"),
+    ]),
+  };
+}
+
+function orderStatusChanged({ user, order }) {
+  const message = `Your order ${order.id} ${STATUS_MESSAGES[order.status]}.`;
+  return {
+    subject: `Order ${order.id} ${STATUS_MESSAGES[order.status]}`,
+    text: `Hi ${user.name},\n\n${message}`,
+    html: layout([`Hi ${escapeHtml(user.name)},`, escapeHtml(message)]),
+  };
+}
+
+function passwordReset({ user, resetUrl, expiresInMinutes }) {
+  return {
+    subject: "Reset your El-Galeri password",
+    text: [
+      `Hi ${user.name},`,
+      "",
+      `Open this link within ${expiresInMinutes} minutes to choose a new password:`,
+      resetUrl,
+      "",
+      "If you didn't ask for it, you can ignore this email.",
+    ].join("\n"),
+    html: layout([
+      `Hi ${escapeHtml(user.name)},`,
+      `Open <a href="${escapeHtml(
+        resetUrl
+      )}">this link</a> within ${expiresInMinutes} minutes to choose a new password.`,
+      "If you didn't ask for it, you can ignore this email.",
+    ]),
+  };
+}
+
+module.exports = {
+  registration,
+  orderPlaced,
+  orderStatusChanged,
+  passwordReset,
+};
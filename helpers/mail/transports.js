@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+//A transport sends a rendered message { from, to, subject, text, html }
+//with send(message), resolving once the message is accepted.
+
+//SMTP server from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS
+function createSmtpTransport(env) {
+  if (!env.SMTP_HOST) throw new Error("SMTP_HOST is required by the smtp mail");
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === "true",
+    auth: env.SMTP_USER
+      ? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+      : undefined,
+  });
+  return {
+    send: (message) => transporter.sendMail(message),
+  };
+}
+
+//Every message saved as an .eml file in MAIL_DIR, mails/ by default, which
+//mail clients can open
+function createFileTransport(env) {
+  const dir = path.resolve(env.MAIL_DIR || "mails");
+  const transporter = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+  });
+  return {
+    async send(message) {
+      const { message: eml } = await transporter.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}.eml`;
+      await fs.promises.writeFile(path.join(dir, fileName), eml);
+    },
+  };
+}
+
+//Every message printed to the console
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(
+        `Mail to ${message.to}: ${message.subject}\n${message.text}\n`
+      );
+    },
+  };
+}
+
+module.exports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
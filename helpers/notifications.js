@@ -0,0 +1,52 @@
+const { queueMail } = require("./mail");
+
+//Model
+const { User } = require("../models/User");
+const { OrderItem } = require("../models/OrderItem");
+
+//Emails of account and order events. They are only queued and never throw,
+//call them once the change is saved without waiting for them.
+
+function notify(templateName, to, data) {
+  try {
+    queueMail(templateName, to, data);
+  } catch (err) {
+    console.log(`Mail ${templateName} to ${to} failed:`, err);
+  }
+}
+
+function notifyRegistration(user) {
+  notify("registration", user.email, { user });
+}
+
+async function notifyOrderPlaced(order) {
+  try {
+    const [user, orderItems] = await Promise.all([
+      User.findById(order.user),
+      OrderItem.find({ _id: { $in: order.orderItems } }),
+    ]);
+    if (user) notify("orderPlaced", user.email, { user, order, orderItems });
+  } catch (err) {
+    console.log(`Order ${order.id} mail failed:`, err);
+  }
+}
+
+async function notifyOrderStatusChanged(order) {
+  try {
+    const user = await User.findById(order.user);
+    if (user) notify("orderStatusChanged", user.email, { user, order });
+  } catch (err) {
+    console.log(`Order ${order.id} mail failed:`, err);
+  }
+}
+
+function notifyPasswordReset(user, { resetUrl, expiresInMinutes }) {
+  notify("passwordReset", user.email, { user, resetUrl, expiresInMinutes });
+}
+
+module.exports = {
+  notifyRegistration,
+  notifyOrderPlaced,
+  notifyOrderStatusChanged,
+  notifyPasswordReset,
+};
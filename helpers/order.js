@@ -0,0 +1,124 @@
+const ApiError = require("./api-error");
+const { getTaxRates, computeOrderTotals } = require("./pricing");
+const { reserveStock, releaseStock } = require("./stock");
+const { redeemCoupon, releaseCoupon } = require("./coupon");
+
+//Model
+const { Order } = require("../models/Order");
+const { OrderItem } = require("../models/OrderItem");
+const { User } = require("../models/User");
+const { Product } = require("../models/Product");
+
+//Shipping address, phone and notes of a new order. The address is the one
+//given, or the chosen saved address, or the default address of the user.
+async function getShippingDetails(userId, body) {
+  const user = await User.findById(userId);
+  if (!user) throw new ApiError(404, "User not found!");
+
+  let address = body.shippingAddress;
+  if (body.addressId) {
+    address = user.addresses.id(body.addressId);
+    if (!address) throw new ApiError(404, "Address not found!");
+  } else if (!address) {
+    address = user.getDefaultAddress();
+  }
+  if (!address) {
+    throw new ApiError(400, "Shipping address is required!", [
+      {
+        location: "body",
+        field: "shippingAddress",
+        message: "shippingAddress is required when the user has no address",
+      },
+    ]);
+  }
+
+  return {
+    shippingAddress: {
+      street: address.street,
+      city: address.city,
+      zip: address.zip,
+      country: address.country,
+    },
+    phone: body.phone || user.phone,
+    notes: body.notes,
+  };
+}
+
+//Order items with the name and price of their product, or variant, at this moment
+async function buildOrderItems(orderItems, session) {
+  const productIds = orderItems.map((orderItem) => orderItem.product);
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select("name price options variants")
+    .session(session);
+
+  return orderItems.map((orderItem) => {
+    const product = products.find((p) => p._id.equals(orderItem.product));
+    const variant = orderItem.variant
+      ? product.variants.id(orderItem.variant)
+      : undefined;
+    const unitPrice = product.getPrice(variant);
+    return new OrderItem({
+      quantity: orderItem.quantity,
+      product: product._id,
+      variant: variant && variant._id,
+      productName: product.name,
+      sku: variant && variant.sku,
+      variantName: variant && product.getVariantName(variant),
+      unitPrice,
+      subtotal: unitPrice * orderItem.quantity,
+    });
+  });
+}
+
+//Reserve stock and save the order with its items, must run in a transaction.
+//orderItems is a list of { product, variant, quantity }, placedBy the id of the user
+//placing the order which can be an admin placing it for userId.
+async function createOrder(
+  session,
+  { userId, placedBy, orderItems, shipping, couponCode }
+) {
+  const stockErrors = await reserveStock(orderItems, session);
+  if (stockErrors.length) {
+    throw new ApiError(400, "Some items are not available!", stockErrors);
+  }
+
+  const newOrderItems = await buildOrderItems(orderItems, session);
+  const discounts = [];
+  let coupon;
+  if (couponCode) {
+    const subtotal = computeOrderTotals(newOrderItems).subtotal;
+    const redeemed = await redeemCoupon(session, {
+      code: couponCode,
+      userId,
+      subtotal,
+    });
+    coupon = redeemed.coupon;
+    discounts.push(redeemed.discount);
+  }
+  const totals = computeOrderTotals(newOrderItems, discounts, getTaxRates());
+  await OrderItem.insertMany(newOrderItems, { session });
+
+  const order = new Order({
+    orderItems: newOrderItems.map((orderItem) => orderItem._id),
+    ...totals,
+    user: userId,
+    ...shipping,
+    coupon: coupon && coupon._id,
+    isStockReserved: true,
+    statusHistory: [{ status: "pending", changedBy: placedBy }],
+  });
+  return order.save({ session });
+}
+
+//Give back the stock and coupon use of an order, must run in a transaction
+async function releaseOrder(session, order) {
+  if (order.isStockReserved) {
+    const orderItems = await OrderItem.find({
+      _id: { $in: order.orderItems },
+    }).session(session);
+    await releaseStock(orderItems, session);
+  }
+  await releaseCoupon(session, order.coupon);
+}
+
+module.exports = { getShippingDetails, createOrder, releaseOrder };
@@ -0,0 +1,21 @@
+//Pagination fields of a list response, next and previous are full urls
+//of the neighbour pages keeping the other query parameters
+function paginate(req, { page, limit, totalCount }) {
+  const totalPages = Math.ceil(totalCount / limit);
+  const path = req.baseUrl + (req.path === "/" ? "" : req.path);
+  const pageUrl = (pageNumber) => {
+    const params = new URLSearchParams({ ...req.query, page: pageNumber });
+    return `${req.protocol}://${req.get("host")}${path}?${params}`;
+  };
+
+  return {
+    page,
+    limit,
+    totalCount,
+    totalPages,
+    next: page < totalPages ? pageUrl(page + 1) : null,
+    previous: page > 1 ? pageUrl(page - 1) : null,
+  };
+}
+
+module.exports = paginate;
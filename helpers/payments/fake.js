@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const ApiError = require("../api-error");
+const { isValidSignature } = require("./signature");
+
+const STATUSES = ["pending", "paid", "failed"];
+
+//Provider for development and tests, nothing is charged. A payment is
+//completed by sending the notification a real provider would send:
+//  POST /payments/notifications/fake
+//  { "paymentId": "...", "eventId": "...", "status": "paid", "amount": 250000 }
+//with the X-Signature header set to the hex HMAC-SHA256 of the raw body keyed
+//with FAKE_PAYMENT_SECRET.
+function createFakeProvider(env) {
+  const secret = env.FAKE_PAYMENT_SECRET;
+  if (!secret) {
+    throw new Error(
+      "FAKE_PAYMENT_SECRET is required by the fake payment provider"
+    );
+  }
+
+  return {
+    async createPayment({ payment }) {
+      return { token: payment.id, redirectUrl: null };
+    },
+    parseNotification(req) {
+      const expected = crypto
+        .createHmac("sha256", secret)
+        .update(req.rawBody || "")
+        .digest("hex");
+      if (!isValidSignature(req.get("X-Signature"), expected)) {
+        throw new ApiError(401, "Invalid signature!");
+      }
+
+      const { paymentId, eventId, status, amount } = req.body;
+      if (!paymentId || !eventId || !STATUSES.includes(status)) {
+        throw new ApiError(400, "Invalid notification!");
+      }
+      return {
+        paymentId,
+        eventId: String(eventId),
+        status,
+        amount: Number(amount),
+        reference: String(eventId),
+      };
+    },
+  };
+}
+
+module.exports = createFakeProvider;
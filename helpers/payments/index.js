@@ -0,0 +1,28 @@
+const createFakeProvider = require("./fake");
+const createMidtransProvider = require("./midtrans");
+
+//A payment provider takes payments of orders:
+//  createPayment({ payment, order, user }) starts the payment on the provider
+//    and returns { token, redirectUrl } to hand to the customer
+//  parseNotification(req) checks the signature of a webhook notification and
+//    returns { paymentId, eventId, status, amount, reference } where status is
+//    pending, paid or failed. It throws an ApiError when the request is invalid.
+const PROVIDERS = {
+  fake: createFakeProvider,
+  midtrans: createMidtransProvider,
+};
+
+let provider;
+
+//Provider configured by PAYMENT_PROVIDER, the fake provider by default. It is
+//created on first use so the env is loaded by then.
+function getPaymentProvider() {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || "fake";
+    if (!PROVIDERS[name]) throw new Error(`Unknown payment provider ${name}`);
+    provider = { name, ...PROVIDERS[name](process.env) };
+  }
+  return provider;
+}
+
+module.exports = { getPaymentProvider };
@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const https = require("https");
+const ApiError = require("../api-error");
+const { isValidSignature } = require("./signature");
+
+//Payment statuses of the Midtrans transaction statuses
+const TRANSACTION_STATUSES = {
+  capture: "paid",
+  settlement: "paid",
+  pending: "pending",
+  deny: "failed",
+  cancel: "failed",
+  expire: "failed",
+  failure: "failed",
+};
+
+//Send a json request, resolves with the parsed response body
+function requestJson(url, { method, headers, body }) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const req = https.request(
+      url,
+      {
+        method,
+        headers: {
+          ...headers,
+          Accept: "application/json",
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(data),
+        },
+        timeout: 10000,
+      },
+      (res) => {
+        let responseBody = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (responseBody += chunk));
+        res.on("end", () => {
+          let parsed;
+          try {
+            parsed = JSON.parse(responseBody);
+          } catch (err) {
+            parsed = {};
+          }
+          if (res.statusCode >= 400) {
+            const messages = parsed.error_messages || [];
+            return reject(
+              new ApiError(502, "Payment provider error!", [
+                { location: "body", message: messages.join(", ") },
+              ])
+            );
+          }
+          resolve(parsed);
+        });
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error("Midtrans request timeout")));
+    req.on("error", reject);
+    req.end(data);
+  });
+}
+
+//Midtrans Snap, the customer pays on the Midtrans page at redirectUrl, or in
+//the Snap popup opened with the token. MIDTRANS_SERVER_KEY is the server key
+//of the account, MIDTRANS_PRODUCTION=true uses the production environment
+//instead of the sandbox. The payment notification url of the account must be
+//set to /payments/notifications/midtrans.
+function createMidtransProvider(env) {
+  const serverKey = env.MIDTRANS_SERVER_KEY;
+  if (!serverKey) {
+    throw new Error("MIDTRANS_SERVER_KEY is required by the midtrans provider");
+  }
+  const snapUrl =
+    env.MIDTRANS_PRODUCTION === "true"
+      ? "https://app.midtrans.com/snap/v1/transactions"
+      : "https://app.sandbox.midtrans.com/snap/v1/transactions";
+  const authorization = `Basic ${Buffer.from(`${serverKey}:`).toString(
+    "base64"
+  )}`;
+
+  return {
+    async createPayment({ payment, user }) {
+      const transaction = await requestJson(snapUrl, {
+        method: "POST",
+        headers: { Authorization: authorization },
+        body: {
+          //The payment id, notifications refer to it as order_id
+          transaction_details: {
+            order_id: payment.id,
+            gross_amount: payment.amount,
+          },
+          customer_details: user && {
+            first_name: user.name,
+            email: user.email,
+            phone: user.phone,
+          },
+        },
+      });
+      return {
+        token: transaction.token,
+        redirectUrl: transaction.redirect_url,
+      };
+    },
+    parseNotification(req) {
+      const {
+        order_id: orderId,
+        status_code: statusCode,
+        gross_amount: grossAmount,
+        signature_key: signatureKey,
+        transaction_id: transactionId,
+        transaction_status: transactionStatus,
+        fraud_status: fraudStatus,
+      } = req.body;
+
+      const expected = crypto
+        .createHash("sha512")
+        .update(`${orderId}${statusCode}${grossAmount}${serverKey}`)
+        .digest("hex");
+      if (!isValidSignature(signatureKey, expected)) {
+        throw new ApiError(401, "Invalid signature!");
+      }
+
+      let status = TRANSACTION_STATUSES[transactionStatus];
+      if (!status) throw new ApiError(400, "Invalid notification!");
+      //A captured card payment is only paid once the fraud check accepts it
+      if (transactionStatus === "capture" && fraudStatus !== "accept") {
+        status = fraudStatus === "deny" ? "failed" : "pending";
+      }
+
+      return {
+        paymentId: orderId,
+        eventId: `${transactionId}:${transactionStatus}:${fraudStatus || ""}`,
+        status,
+        amount: Number(grossAmount),
+        reference: transactionId,
+      };
+    },
+  };
+}
+
+module.exports = createMidtransProvider;
@@ -0,0 +1,13 @@
+const crypto = require("crypto");
+
+//Compare a received signature to the expected one in constant time
+function isValidSignature(received, expected) {
+  const receivedBuffer = Buffer.from(String(received || ""));
+  const expectedBuffer = Buffer.from(expected);
+  return (
+    receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer)
+  );
+}
+
+module.exports = { isValidSignature };
@@ -0,0 +1,35 @@
+//Tax lines applied to every order, configured from .env
+function getTaxRates() {
+  const rate = Number(process.env.TAX_RATE || 0);
+  return rate > 0 ? [{ label: process.env.TAX_LABEL || "Tax", rate }] : [];
+}
+
+//Compute the price lines of an order from the snapshots of its items.
+//Discounts are taken off the subtotal, taxes are applied on what is left.
+function computeOrderTotals(orderItems, discounts = [], taxRates = []) {
+  const subtotal = orderItems.reduce((sum, item) => sum + item.subtotal, 0);
+
+  let discountLeft = subtotal;
+  const discountLines = discounts.map(({ label, amount }) => {
+    const applied = Math.min(amount, discountLeft);
+    discountLeft -= applied;
+    return { label, amount: applied };
+  });
+  const taxableAmount = discountLeft;
+
+  const taxLines = taxRates.map(({ label, rate }) => ({
+    label,
+    rate,
+    amount: Math.round(taxableAmount * rate),
+  }));
+  const taxTotal = taxLines.reduce((sum, tax) => sum + tax.amount, 0);
+
+  return {
+    subtotal,
+    discounts: discountLines,
+    taxes: taxLines,
+    totalPrice: taxableAmount + taxTotal,
+  };
+}
+
+module.exports = { getTaxRates, computeOrderTotals };
@@ -0,0 +1,10 @@
+const crypto = require("crypto");
+
+//Tag every request with an id, reusing the one set by a proxy if any
+function requestId(req, res, next) {
+  req.id = req.get("X-Request-Id") || crypto.randomBytes(16).toString("hex");
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+module.exports = requestId;
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const { Product } = require("../models/Product");
+
+//Sum the quantity of every line by product and variant so duplicated lines
+//are checked together
+function groupByProduct(items) {
+  const lines = new Map();
+  items.forEach((item) => {
+    const productId = String(item.product);
+    const variantId = item.variant ? String(item.variant) : undefined;
+    const key = `${productId}:${variantId || ""}`;
+    const line = lines.get(key) || { productId, variantId, quantity: 0 };
+    line.quantity += Number(item.quantity);
+    lines.set(key, line);
+  });
+  return lines.values();
+}
+
+//Error entry of an order line, in the format of helpers/error-handler
+function lineError(productId, variantId) {
+  const error = { location: "body", field: "orderItems", product: productId };
+  if (variantId) error.variant = variantId;
+  return error;
+}
+
+//Matches the product when the product, or its variant, has at least quantity
+//in stock. Products with variants can only be ordered by variant.
+function inStockFilter(productId, variantId, quantity) {
+  if (!variantId) {
+    return {
+      _id: productId,
+      "variants.0": { $exists: false },
+      stock: { $gte: quantity },
+    };
+  }
+  return {
+    _id: productId,
+    variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } },
+  };
+}
+
+//Add change to the stock of the variant, matched by the filter, and to the
+//product total
+function stockUpdate(variantId, change) {
+  return variantId
+    ? { $inc: { "variants.$.stock": change, stock: change } }
+    : { $inc: { stock: change } };
+}
+
+//Why the stock of a line could not be reserved
+async function explainStockError(productId, variantId, quantity, session) {
+  const product = await Product.findById(productId)
+    .select("name stock variants")
+    .session(session);
+  if (!product) return { message: "Product not found" };
+  if (!variantId && product.variants.length) {
+    return { message: `Choose a variant of ${product.name}` };
+  }
+
+  let available = product.stock;
+  if (variantId) {
+    const variant = product.variants.id(variantId);
+    if (!variant) return { message: `Variant of ${product.name} not found` };
+    available = variant.stock;
+  }
+  return {
+    message: `Insufficient stock for ${product.name}`,
+    requested: quantity,
+    available,
+  };
+}
+
+//Decrement stock for every item, all or nothing.
+//Returns a list of per item errors, empty when every item is reserved.
+//Pass the session when called inside a transaction.
+async function reserveStock(items, session) {
+  const reserved = [];
+  const errors = [];
+
+  for (const { productId, variantId, quantity } of groupByProduct(items)) {
+    if (
+      !mongoose.isValidObjectId(productId) ||
+      (variantId && !mongoose.isValidObjectId(variantId))
+    ) {
+      errors.push({
+        ...lineError(productId, variantId),
+        message: "Invalid product id",
+      });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      errors.push({
+        ...lineError(productId, variantId),
+        message: "Quantity must be a positive integer",
+      });
+      continue;
+    }
+
+    //Only matches when there is enough stock, so concurrent orders can't oversell
+    const product = await Product.findOneAndUpdate(
+      inStockFilter(productId, variantId, quantity),
+      stockUpdate(variantId, -quantity),
+      { session }
+    );
+    if (product) {
+      reserved.push({ product: productId, variant: variantId, quantity });
+      continue;
+    }
+
+    errors.push({
+      ...lineError(productId, variantId),
+      ...(await explainStockError(productId, variantId, quantity, session)),
+    });
+  }
+
+  if (errors.length) await releaseStock(reserved, session);
+  return errors;
+}
+
+//Give the quantity of every item back to its product or variant
+async function releaseStock(items, session) {
+  //One at a time, a transaction session can't run operations in parallel
+  for (const { productId, variantId, quantity } of groupByProduct(items)) {
+    const filter = variantId
+      ? { _id: productId, "variants._id": variantId }
+      : { _id: productId };
+    await Product.updateOne(filter, stockUpdate(variantId, quantity), {
+      session,
+    });
+  }
+}
+
+module.exports = { reserveStock, releaseStock };
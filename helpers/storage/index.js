@@ -0,0 +1,26 @@
+const createLocalStorage = require("./local");
+
+//A storage driver stores uploaded files by key:
+//  put(key, buffer, contentType) saves the file, replacing any file with the key
+//  remove(key) removes the file, missing files are ignored
+//  getUrl(key) returns the public url of the file
+//Drivers are required only when chosen, so the S3 SDK isn't loaded unless used
+const DRIVERS = {
+  local: createLocalStorage,
+  s3: (env) => require("./s3")(env),
+};
+
+let storage;
+
+//Storage configured by STORAGE_DRIVER, local by default. It is created on
+//first use so the env is loaded by then.
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || "local";
+    if (!DRIVERS[driver]) throw new Error(`Unknown storage driver ${driver}`);
+    storage = DRIVERS[driver](process.env);
+  }
+  return storage;
+}
+
+module.exports = { getStorage };
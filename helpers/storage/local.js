@@ -0,0 +1,34 @@
+const fs = require("fs");
+const path = require("path");
+
+//Served by express.static in server.js
+const UPLOAD_DIR = path.join(__dirname, "..", "..", "public", "uploads");
+
+//Files in public/uploads of the server. STORAGE_PUBLIC_URL is the full url
+//the directory is served from, e.g. http://localhost:4001/public/uploads or a
+//CDN, so clients on other origins get working image urls.
+function createLocalStorage(env) {
+  if (!env.STORAGE_PUBLIC_URL) {
+    throw new Error("STORAGE_PUBLIC_URL is required by the local storage");
+  }
+  const publicUrl = env.STORAGE_PUBLIC_URL.replace(/\/$/, "");
+  const filePath = (key) => path.join(UPLOAD_DIR, path.basename(key));
+
+  return {
+    async put(key, buffer) {
+      await fs.promises.writeFile(filePath(key), buffer);
+    },
+    async remove(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+    getUrl(key) {
+      return `${publicUrl}/${key}`;
+    },
+  };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,60 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+//Files in an S3 bucket, or in a bucket of an S3 compatible server like MinIO
+//with S3_ENDPOINT=http://localhost:9000 and S3_FORCE_PATH_STYLE=true.
+//The files must be publicly readable, e.g. with a bucket policy.
+function createS3Storage(env) {
+  const bucket = env.S3_BUCKET;
+  if (!bucket) throw new Error("S3_BUCKET is required by the s3 storage");
+  const region = env.S3_REGION || "us-east-1";
+  const endpoint = env.S3_ENDPOINT ? env.S3_ENDPOINT.replace(/\/$/, "") : "";
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE === "true",
+    //The default AWS credential chain is used when no key is given
+    credentials: env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: env.S3_ACCESS_KEY_ID,
+          secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  const defaultPublicUrl = endpoint
+    ? `${endpoint}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const publicUrl = (env.STORAGE_PUBLIC_URL || defaultPublicUrl).replace(
+    /\/$/,
+    ""
+  );
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          //Keys are never reused for another file
+          CacheControl: "public, max-age=31536000, immutable",
+        })
+      );
+    },
+    async remove(key) {
+      //Deleting a missing key succeeds
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    getUrl(key) {
+      return `${publicUrl}/${key}`;
+    },
+  };
+}
+
+module.exports = createS3Storage;
@@ -0,0 +1,96 @@
+const multer = require("multer");
+const ApiError = require("./api-error");
+
+const MAX_IMAGE_SIZE_MB = 5;
+const MAX_IMAGES = 10;
+
+const FILE_TYPE_MAP = {
+  "image/png": "png",
+  "image/jpeg": "jpeg",
+  "image/jpg": "jpeg",
+};
+
+//First bytes of the accepted image files
+const MAGIC_BYTES = {
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpeg: Buffer.from([0xff, 0xd8, 0xff]),
+};
+
+function invalidTypeError(field, message) {
+  return new ApiError(415, "Invalid image type!", [
+    { location: "body", field, message },
+  ]);
+}
+
+//Multer errors as a 4xx response naming the file field
+function toApiError(err, maxCount) {
+  const messages = {
+    LIMIT_FILE_SIZE: [413, `file must be at most ${MAX_IMAGE_SIZE_MB} MB`],
+    LIMIT_FILE_COUNT: [400, `at most ${maxCount} files are accepted`],
+    LIMIT_UNEXPECTED_FILE: [400, "unexpected file field"],
+  };
+  const [statusCode, message] = messages[err.code] || [400, err.message];
+  const error = { location: "body", message };
+  if (err.field) error.field = err.field;
+  return new ApiError(statusCode, `${err.message}!`, [error]);
+}
+
+//Uploads are kept in memory, only their resized renditions are stored
+function createUpload(maxCount) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024,
+      files: maxCount,
+    },
+    //The client mimetype is only a first check, the content is sniffed after
+    fileFilter: function (req, file, cb) {
+      if (FILE_TYPE_MAP[file.mimetype]) return cb(null, true);
+      cb(invalidTypeError(file.fieldname, "only png and jpeg are accepted"));
+    },
+  });
+}
+
+//Run a multer middleware, then check every file starts like a png or jpeg
+function handleUpload(upload, maxCount) {
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        return next(toApiError(err, maxCount));
+      }
+      if (err) return next(err);
+
+      const files = [].concat(req.file || [], req.files || []);
+      const invalidFile = files.find(
+        (file) =>
+          !Object.values(MAGIC_BYTES).some((magicBytes) =>
+            file.buffer.subarray(0, magicBytes.length).equals(magicBytes)
+          )
+      );
+      if (invalidFile) {
+        return next(
+          invalidTypeError(
+            invalidFile.fieldname,
+            "file content is not a png or jpeg image"
+          )
+        );
+      }
+      next();
+    });
+  };
+}
+
+//Middleware accepting one image in field
+function uploadImage(field) {
+  return handleUpload(createUpload(1).single(field), 1);
+}
+
+//Middleware accepting up to MAX_IMAGES images in field
+function uploadImages(field) {
+  return handleUpload(
+    createUpload(MAX_IMAGES).array(field, MAX_IMAGES),
+    MAX_IMAGES
+  );
+}
+
+module.exports = { uploadImage, uploadImages };
@@ -0,0 +1,42 @@
+const Joi = require("joi");
+const ApiError = require("./api-error");
+
+//24 characters hex string accepted by mongoose as an ObjectId
+const objectId = Joi.string()
+  .pattern(/^[0-9a-fA-F]{24}$/)
+  .messages({ "string.pattern.base": "{{#label}} must be a valid id" });
+
+const idParams = Joi.object({
+  id: objectId.required(),
+});
+
+//Validate and sanitize req.params, req.query and req.body against Joi schemas.
+//Responds 422 with every invalid field instead of calling the route handler.
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    ["params", "query", "body"].forEach((key) => {
+      if (!schemas[key]) return;
+      const { error, value } = schemas[key].validate(req[key], {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+      if (error) {
+        error.details.forEach((detail) => {
+          errors.push({
+            location: key,
+            field: detail.path.join("."),
+            message: detail.message.replace(/"/g, ""),
+          });
+        });
+      } else {
+        req[key] = value;
+      }
+    });
+
+    if (!errors.length) return next();
+    return next(new ApiError(422, "Validation failed!", errors));
+  };
+}
+
+module.exports = { validate, objectId, idParams };
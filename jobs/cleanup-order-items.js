@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { OrderItem } = require("../models/OrderItem");
+
+//Items younger than this may belong to an order that is being created
+const MIN_AGE_MS = 60 * 60 * 1000;
+
+//Remove order items that no order references, returns how many were removed
+async function removeOrphanOrderItems() {
+  const cutoff = Math.floor((Date.now() - MIN_AGE_MS) / 1000);
+  const orphans = await OrderItem.aggregate([
+    {
+      $match: {
+        _id: { $lt: mongoose.Types.ObjectId.createFromTime(cutoff) },
+      },
+    },
+    {
+      $lookup: {
+        from: "orders",
+        localField: "_id",
+        foreignField: "orderItems",
+        as: "orders",
+      },
+    },
+    { $match: { orders: { $size: 0 } } },
+    { $project: { _id: 1 } },
+  ]);
+  if (!orphans.length) return 0;
+
+  const { deletedCount } = await OrderItem.deleteMany({
+    _id: { $in: orphans.map((orphan) => orphan._id) },
+  });
+  return deletedCount;
+}
+
+//Run the cleanup every intervalHours, the first run happens right away
+function scheduleOrphanOrderItemsCleanup(intervalHours) {
+  const run = () =>
+    removeOrphanOrderItems()
+      .then((count) => {
+        if (count) console.log(`Removed ${count} orphan order items`);
+      })
+      .catch((err) => console.log(err));
+
+  run();
+  return setInterval(run, intervalHours * 60 * 60 * 1000);
+}
+
+module.exports = { removeOrphanOrderItems, scheduleOrphanOrderItemsCleanup };
+
+//npm run cleanup:order-items
+if (require.main === module) {
+  require("dotenv/config");
+  mongoose
+    .connect(process.env.DB_URL, {
+      useFindAndModify: false,
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      dbName: "elgaleri-db",
+    })
+    .then(removeOrphanOrderItems)
+    .then((count) => console.log(`Removed ${count} orphan order items`))
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
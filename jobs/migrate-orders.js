@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { Order, ORDER_STATUS_TRANSITIONS } = require("../models/Order");
+
+//Statuses of orders that have been paid for
+const PAID_STATUSES = ["paid", "shipped", "delivered"];
+
+//Give orders placed before the order statuses and payments the status given,
+//delivered by default, and the payment status that goes with it. Until then
+//they can't change status and aren't counted by the analytics.
+//Returns how many orders were migrated.
+async function migrateOrders(legacyStatus = "delivered") {
+  if (!ORDER_STATUS_TRANSITIONS[legacyStatus]) {
+    throw new Error(`Unknown order status ${legacyStatus}`);
+  }
+
+  //Raw documents, mongoose fills in the defaults of the missing fields
+  const orders = await Order.collection
+    .find({
+      $or: [
+        { status: { $exists: false } },
+        { statusHistory: { $exists: false } },
+        { paymentStatus: { $exists: false } },
+      ],
+    })
+    .project({ status: 1, statusHistory: 1, paymentStatus: 1, dateOrdered: 1 })
+    .toArray();
+  if (!orders.length) return 0;
+
+  const updates = orders.map((order) => {
+    const status = order.status || legacyStatus;
+    const $set = {};
+    if (!order.status) $set.status = status;
+    if (!order.statusHistory) {
+      $set.statusHistory = [
+        {
+          _id: new mongoose.Types.ObjectId(),
+          status,
+          note: "Placed before order statuses",
+          dateChanged: order.dateOrdered || order._id.getTimestamp(),
+        },
+      ];
+    }
+    if (!order.paymentStatus) {
+      $set.paymentStatus = PAID_STATUSES.includes(status) ? "paid" : "unpaid";
+    }
+    return { updateOne: { filter: { _id: order._id }, update: { $set } } };
+  });
+  await Order.collection.bulkWrite(updates);
+  return orders.length;
+}
+
+module.exports = { migrateOrders };
+
+//npm run migrate:orders [-- <status of the old orders>]
+if (require.main === module) {
+  require("dotenv/config");
+  mongoose
+    .connect(process.env.DB_URL, {
+      useFindAndModify: false,
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      dbName: "elgaleri-db",
+    })
+    .then(() => migrateOrders(process.argv[2]))
+    .then((count) => console.log(`Migrated ${count} orders`))
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { Product } = require("../models/Product");
+const { processImage } = require("../helpers/images");
+
+const UPLOAD_DIR = path.join(__dirname, "..", "public", "uploads");
+
+//Resize an image saved by url, before the renditions existed, from its file in
+//public/uploads into the storage. Returns undefined when its file is gone.
+async function migrateImage(imageUrl) {
+  const fileName = path.basename(imageUrl);
+  let buffer;
+  try {
+    buffer = await fs.promises.readFile(path.join(UPLOAD_DIR, fileName));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    console.log(`Missing file ${fileName}, image dropped`);
+    return undefined;
+  }
+
+  const image = await processImage(buffer, {
+    baseName: path.parse(fileName).name.split(".").join("-"),
+  });
+  return { _id: new mongoose.Types.ObjectId(), ...image };
+}
+
+//Replace the image urls of products saved before the image renditions by
+//their renditions. The original files are kept in public/uploads, returns how
+//many products were migrated.
+async function migrateProductImages() {
+  //Raw documents, the product model can't load image urls anymore
+  const products = await Product.collection
+    .find({
+      $or: [{ image: { $type: "string" } }, { images: { $type: "string" } }],
+    })
+    .project({ image: 1, images: 1 })
+    .toArray();
+
+  for (const product of products) {
+    //MongoDB before 5.0 rejects an empty $unset, so it's only added when used
+    const update = { $set: {} };
+    if (typeof product.image === "string") {
+      const image = product.image ? await migrateImage(product.image) : null;
+      if (image) update.$set.image = image;
+      else update.$unset = { image: "" };
+    }
+
+    const images = [];
+    for (const image of product.images || []) {
+      if (typeof image !== "string") images.push(image);
+      else if (image) images.push(await migrateImage(image));
+    }
+    update.$set.images = images.filter(Boolean);
+
+    await Product.collection.updateOne({ _id: product._id }, update);
+  }
+  return products.length;
+}
+
+module.exports = { migrateProductImages };
+
+//npm run migrate:product-images
+if (require.main === module) {
+  require("dotenv/config");
+  mongoose
+    .connect(process.env.DB_URL, {
+      useFindAndModify: false,
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      dbName: "elgaleri-db",
+    })
+    .then(migrateProductImages)
+    .then((count) => console.log(`Migrated the images of ${count} products`))
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const { User } = require("../models/User");
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+//Lowercase the emails of users registered before emails were lowercased, so
+//they can log in again, then build the unique email index. Users sharing an
+//email once lowercased are left as they are and returned: one of them has to
+//be merged or removed by hand, the index can't be built until then.
+async function migrateUserEmails() {
+  //Raw documents, to see the emails as they are stored
+  const users = await User.collection.find({}).project({ email: 1 }).toArray();
+
+  const usersByEmail = new Map();
+  users.forEach((user) => {
+    const email = normalizeEmail(user.email);
+    usersByEmail.set(email, [...(usersByEmail.get(email) || []), user]);
+  });
+
+  const updates = [];
+  const duplicates = [];
+  usersByEmail.forEach((sameEmailUsers, email) => {
+    if (sameEmailUsers.length > 1) {
+      duplicates.push({ email, users: sameEmailUsers });
+      return;
+    }
+    const [user] = sameEmailUsers;
+    if (user.email === email) return;
+    updates.push({
+      updateOne: { filter: { _id: user._id }, update: { $set: { email } } },
+    });
+  });
+  if (updates.length) await User.collection.bulkWrite(updates);
+  if (!duplicates.length) await User.createIndexes();
+
+  return { migratedCount: updates.length, duplicates };
+}
+
+module.exports = { migrateUserEmails };
+
+//npm run migrate:user-emails
+if (require.main === module) {
+  require("dotenv/config");
+  mongoose
+    .connect(process.env.DB_URL, {
+      useFindAndModify: false,
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+      dbName: "elgaleri-db",
+    })
+    .then(migrateUserEmails)
+    .then(({ migratedCount, duplicates }) => {
+      console.log(`Lowercased the email of ${migratedCount} users`);
+      duplicates.forEach(({ email, users }) => {
+        const ids = users.map((user) => `${user._id} (${user.email})`);
+        console.log(`Email ${email} is used by ${ids.join(", ")}`);
+      });
+      if (duplicates.length) {
+        console.log("Unique email index not built, resolve the duplicates");
+        process.exitCode = 1;
+      }
+    })
+    .catch((err) => {
+      console.log(err);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const cartItemSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    //Id of the chosen variant of the product
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    //Price of the product, or variant, when it was put in the cart
+    unitPrice: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const cartSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  items: [cartItemSchema],
+  dateUpdated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+cartSchema.pre("save", function (next) {
+  this.dateUpdated = Date.now();
+  next();
+});
+
+cartSchema.methods.findItem = function (productId, variantId) {
+  return this.items.find(
+    (item) =>
+      item.product.equals(productId) &&
+      (variantId
+        ? item.variant && item.variant.equals(variantId)
+        : !item.variant)
+  );
+};
+
+cartSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+cartSchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.Cart = mongoose.model("Cart", cartSchema);
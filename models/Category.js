@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+function slugify(text) {
+  return text
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .replace(/[\s-]+/g, "-");
+}
+
+const categorySchema = mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  icon: {
+    type: String,
+    default: "",
+  },
+  color: {
+    type: String,
+    default: "",
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+});
+
+//Generate the slug from the name when it is not given
+categorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) this.slug = slugify(this.name);
+  next();
+});
+
+//Ids of the given categories and all of their subcategories
+categorySchema.statics.findWithDescendantIds = async function (ids) {
+  const result = ids.map(String);
+  let parentIds = result;
+  while (parentIds.length) {
+    const children = await this.find({ parent: { $in: parentIds } }, "_id");
+    parentIds = children
+      .map((child) => child.id)
+      .filter((id) => !result.includes(id));
+    result.push(...parentIds);
+  }
+  return result;
+};
+
+categorySchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+categorySchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.Category = mongoose.model("Category", categorySchema);
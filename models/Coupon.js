@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const couponSchema = mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ["percentage", "fixed"],
+    required: true,
+  },
+  //Percent off for percentage coupons, amount off for fixed coupons
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: function (value) {
+        return this.type !== "percentage" || value <= 100;
+      },
+      message: "value of a percentage coupon must be at most 100",
+    },
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+  },
+  //Cap of the discount of percentage coupons, null for no cap
+  maxDiscount: {
+    type: Number,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  //null for unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+  },
+  usageLimitPerUser: {
+    type: Number,
+    default: 1,
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+//Discount amount of this coupon for an order subtotal
+couponSchema.methods.computeDiscount = function (subtotal) {
+  let discount =
+    this.type === "percentage"
+      ? Math.round((subtotal * this.value) / 100)
+      : this.value;
+  if (this.type === "percentage" && this.maxDiscount !== null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+  return Math.min(discount, subtotal);
+};
+
+couponSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+couponSchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.Coupon = mongoose.model("Coupon", couponSchema);
@@ -1,4 +1,36 @@
 const mongoose = require("mongoose");
+
+//Allowed next statuses for every order status
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+const shippingAddressSchema = mongoose.Schema(
+  {
+    street: {
+      type: String,
+      required: true,
+    },
+    city: {
+      type: String,
+      required: true,
+    },
+    zip: {
+      type: String,
+      required: true,
+    },
+    country: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
 const orderSchema = mongoose.Schema({
   orderItems: [
     {
@@ -7,6 +39,33 @@ const orderSchema = mongoose.Schema({
       required: true,
     },
   ],
+  //Sum of the order items subtotal
+  subtotal: {
+    type: Number,
+    required: true,
+  },
+  discounts: [
+    {
+      _id: false,
+      label: String,
+      amount: Number,
+    },
+  ],
+  taxes: [
+    {
+      _id: false,
+      label: String,
+      rate: Number,
+      amount: Number,
+    },
+  ],
+  //Coupon applied to the order, its discount is in discounts
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Coupon",
+    default: null,
+  },
+  //subtotal - discounts + taxes
   totalPrice: {
     type: Number,
     required: true,
@@ -16,12 +75,78 @@ const orderSchema = mongoose.Schema({
     ref: "User",
     required: true,
   },
+  //Snapshot of where the order goes, kept even if the user changes their data
+  shippingAddress: {
+    type: shippingAddressSchema,
+    required: true,
+    immutable: true,
+  },
+  phone: {
+    type: String,
+    default: "",
+    immutable: true,
+  },
+  notes: {
+    type: String,
+    default: "",
+    immutable: true,
+  },
   dateOrdered: {
     type: Date,
     default: Date.now,
   },
+  status: {
+    type: String,
+    enum: Object.keys(ORDER_STATUS_TRANSITIONS),
+    default: "pending",
+  },
+  //Set from the payments of the order, see routes/payments
+  paymentStatus: {
+    type: String,
+    enum: ["unpaid", "pending", "paid", "failed"],
+    default: "unpaid",
+  },
+  //Stock of the items was reserved when the order was placed, orders placed
+  //before the stock reservation have none to give back
+  isStockReserved: {
+    type: Boolean,
+    default: false,
+  },
+  //Paid after it was cancelled, the customer has to be refunded
+  needsRefund: {
+    type: Boolean,
+    default: false,
+  },
+  statusHistory: [
+    {
+      status: {
+        type: String,
+        enum: Object.keys(ORDER_STATUS_TRANSITIONS),
+        required: true,
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      note: {
+        type: String,
+        default: "",
+      },
+      dateChanged: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
 });
 
+//Used to find the order of an order item
+orderSchema.index({ orderItems: 1 });
+
+orderSchema.methods.canTransitionTo = function (status) {
+  return ORDER_STATUS_TRANSITIONS[this.status].includes(status);
+};
+
 orderSchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
@@ -31,3 +156,4 @@ orderSchema.set("toJSON", {
 });
 
 exports.Order = mongoose.model("Order", orderSchema);
+exports.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
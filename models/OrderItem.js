@@ -3,11 +3,46 @@ const orderItemSchema = mongoose.Schema({
   quantity: {
     type: Number,
     required: true,
+    min: 1,
+    validate: {
+      validator: Number.isInteger,
+      message: "quantity must be an integer",
+    },
   },
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Product",
   },
+  //Id of the ordered variant, a subdocument of the product
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  //Snapshot of the product when the order was placed
+  productName: {
+    type: String,
+    required: true,
+  },
+  sku: {
+    type: String,
+  },
+  variantName: {
+    type: String,
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
+orderItemSchema.pre("validate", function (next) {
+  this.subtotal = this.unitPrice * this.quantity;
+  next();
 });
 
 exports.OrderItem = mongoose.model("OrderItem", orderItemSchema);
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+const PAYMENT_STATUSES = ["pending", "paid", "failed"];
+
+const paymentSchema = mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  //Name of the payment provider, see helpers/payments
+  provider: {
+    type: String,
+    required: true,
+  },
+  //Order total when the payment was started
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: "pending",
+  },
+  //Given by the provider to complete the payment
+  token: {
+    type: String,
+    default: null,
+  },
+  redirectUrl: {
+    type: String,
+    default: null,
+  },
+  //Transaction id of the provider, known once it notifies
+  reference: {
+    type: String,
+    default: null,
+  },
+  //Notifications already applied, a repeated notification is ignored
+  events: [
+    {
+      _id: false,
+      eventId: {
+        type: String,
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+      },
+      dateReceived: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+paymentSchema.index({ order: 1 });
+
+paymentSchema.methods.hasEvent = function (eventId) {
+  return this.events.some((event) => event.eventId === eventId);
+};
+
+paymentSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+paymentSchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.Payment = mongoose.model("Payment", paymentSchema);
+exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
@@ -1,4 +1,101 @@
 const mongoose = require("mongoose");
+const { getStorage } = require("../helpers/storage");
+
+//Option of the product variants, e.g. { name: "Size", values: ["S", "M", "L"] }
+const optionSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    values: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+//One size of an uploaded image, in jpeg or png and in webp. The storage keys
+//are saved, urls are built when sent so they follow the storage settings.
+const renditionSchema = mongoose.Schema(
+  {
+    key: String,
+    webpKey: String,
+    width: Number,
+    height: Number,
+  },
+  { _id: false, id: false }
+);
+
+renditionSchema.virtual("url").get(function () {
+  return this.key && getStorage().getUrl(this.key);
+});
+
+renditionSchema.virtual("webpUrl").get(function () {
+  return this.webpKey && getStorage().getUrl(this.webpKey);
+});
+
+renditionSchema.set("toJSON", {
+  virtuals: true,
+});
+
+//Uploaded image resized by helpers/images into every rendition
+const imageSchema = mongoose.Schema({
+  thumbnail: renditionSchema,
+  medium: renditionSchema,
+  full: renditionSchema,
+});
+
+imageSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+imageSchema.set("toJSON", {
+  virtuals: true,
+});
+
+const variantSchema = mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  //Value of every option of the product, e.g. { Size: "M", Color: "Navy" }
+  options: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  //Price of the variant when it differs from the product price
+  price: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  //Id of the product image, or gallery image, showing the variant
+  image: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+});
+
+variantSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+variantSchema.set("toJSON", {
+  virtuals: true,
+});
+
 const productSchema = mongoose.Schema({
   name: {
     type: String,
@@ -12,31 +109,125 @@ const productSchema = mongoose.Schema({
     type: String,
     default: "",
   },
-  image: {
-    type: String,
-    default: "",
+  image: imageSchema,
+  images: [imageSchema],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
   },
-  images: [
-    {
-      type: String,
-      default: "",
-    },
-  ],
   price: {
     type: Number,
     default: 0,
   },
+  //Sum of the variant stocks when the product has variants
   stock: {
     type: Number,
     required: true,
     min: 0,
   },
+  options: [optionSchema],
+  variants: [variantSchema],
+  //Kept up to date from the product reviews
+  averageRating: {
+    type: Number,
+    default: 0,
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+  },
   dateCreated: {
     type: Date,
     default: Date.now,
   },
 });
 
+productSchema.index({
+  name: "text",
+  description: "text",
+  detailDescription: "text",
+});
+
+productSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+
+//Variants must give a known value for every option, with unique skus and
+//option combinations
+productSchema.pre("validate", function (next) {
+  if (!this.variants.length) return next();
+
+  const skus = new Set();
+  const combinations = new Set();
+  this.variants.forEach((variant, index) => {
+    const path = `variants.${index}`;
+    if (skus.has(variant.sku)) {
+      this.invalidate(`${path}.sku`, `sku ${variant.sku} is used twice`);
+    }
+    skus.add(variant.sku);
+
+    if (variant.options.size !== this.options.length) {
+      this.invalidate(
+        `${path}.options`,
+        "a variant must have a value for every option of the product"
+      );
+    }
+    this.options.forEach((option) => {
+      const value = variant.options.get(option.name);
+      if (!option.values.includes(value)) {
+        this.invalidate(
+          `${path}.options`,
+          `${value} is not a value of option ${option.name}`
+        );
+      }
+    });
+
+    const name = this.getVariantName(variant);
+    if (combinations.has(name)) {
+      this.invalidate(`${path}.options`, `variant ${name} already exists`);
+    }
+    combinations.add(name);
+  });
+
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  next();
+});
+
+//Price of the variant, or of the product when it has no variant or override
+productSchema.methods.getPrice = function (variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
+//Option values of the variant in the order of the product options, e.g. "M / Navy"
+productSchema.methods.getVariantName = function (variant) {
+  if (!variant) return "";
+  return this.options
+    .map((option) => variant.options.get(option.name))
+    .join(" / ");
+};
+
+//Main image or gallery image with the given id
+productSchema.methods.findImage = function (imageId) {
+  if (this.image && this.image._id.equals(imageId)) return this.image;
+  return this.images.id(imageId);
+};
+
+//Variants showing one of the removed images are left without image
+productSchema.methods.clearVariantImages = function (removedImages) {
+  this.variants.forEach((variant) => {
+    if (
+      variant.image &&
+      removedImages.some((image) => image._id.equals(variant.image))
+    ) {
+      variant.image = null;
+    }
+  });
+};
+
 productSchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
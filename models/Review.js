@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const reviewSchema = mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: "rating must be an integer",
+    },
+  },
+  text: {
+    type: String,
+    default: "",
+  },
+  dateCreated: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+//One review per user and product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+//Recompute the average rating and review count kept on the product
+reviewSchema.statics.updateProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: mongoose.Types.ObjectId(productId) } },
+    {
+      $group: {
+        _id: "$product",
+        averageRating: { $avg: "$rating" },
+        reviewCount: { $sum: 1 },
+      },
+    },
+  ]);
+
+  await mongoose.model("Product").updateOne(
+    { _id: productId },
+    {
+      averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : 0,
+      reviewCount: stats ? stats.reviewCount : 0,
+    }
+  );
+};
+
+reviewSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+reviewSchema.set("toJSON", {
+  virtuals: true,
+});
+
+exports.Review = mongoose.model("Review", reviewSchema);
@@ -1,4 +1,36 @@
 const mongoose = require("mongoose");
+
+const addressSchema = mongoose.Schema({
+  street: {
+    type: String,
+    required: true,
+  },
+  city: {
+    type: String,
+    required: true,
+  },
+  zip: {
+    type: String,
+    required: true,
+  },
+  country: {
+    type: String,
+    required: true,
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+addressSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+addressSchema.set("toJSON", {
+  virtuals: true,
+});
+
 const userSchema = mongoose.Schema({
   name: {
     type: String,
@@ -7,23 +39,59 @@ const userSchema = mongoose.Schema({
   email: {
     type: String,
     required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
   },
   password: {
     type: String,
     required: true,
+    select: false,
   },
   isAdmin: {
     type: Boolean,
     default: false,
   },
+  phone: {
+    type: String,
+    default: "",
+  },
+  addresses: [addressSchema],
+  //Sha256 of the token sent by the password reset email
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
 });
 
+//Make the given address the only default one
+userSchema.methods.setDefaultAddress = function (addressId) {
+  this.addresses.forEach((address) => {
+    address.isDefault = address._id.equals(addressId);
+  });
+};
+
+userSchema.methods.getDefaultAddress = function () {
+  return this.addresses.find((address) => address.isDefault);
+};
+
 userSchema.virtual("id").get(function () {
   return this._id.toHexString();
 });
 
 userSchema.set("toJSON", {
   virtuals: true,
+  //Never send the password hash or reset token, even when they were selected
+  transform: function (doc, ret) {
+    delete ret.password;
+    delete ret.passwordResetToken;
+    delete ret.passwordResetExpires;
+    return ret;
+  },
 });
 
 exports.User = mongoose.model("User", userSchema);
@@ -0,0 +1,266 @@
+const express = require("express");
+//Mounted on /users/:id/addresses, mergeParams gives access to the user id
+const router = express.Router({ mergeParams: true });
+const { isAdminOrSelf } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const validation = require("../validations/addresses");
+
+//Model
+const { User } = require("../models/User");
+
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      Address:
+ *        type: object
+ *        required:
+ *          - street
+ *          - city
+ *          - zip
+ *          - country
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Auto generated id of the address
+ *          street:
+ *            type: string
+ *            description: Street name and number
+ *          city:
+ *            type: string
+ *            description: City of the address
+ *          zip:
+ *            type: string
+ *            description: Postal code of the address
+ *          country:
+ *            type: string
+ *            description: Country of the address
+ *          isDefault:
+ *            type: boolean
+ *            description: true for the address used when an order gives none, only one address is the default
+ *        example:
+ *          id: 60a4c2e1f1a2b3c4d5e6f701
+ *          street: Jl. Merdeka No. 1
+ *          city: Bandung
+ *          zip: "40111"
+ *          country: Indonesia
+ *          isDefault: true
+ */
+
+async function findUser(id) {
+  const user = await User.findById(id);
+  if (!user) throw new ApiError(404, "User with given ID is not found!");
+  return user;
+}
+
+/**
+ * @swagger
+ * /users/{id}/addresses:
+ *   get:
+ *     summary: Returns the saved addresses of the user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User id
+ *     responses:
+ *       200:
+ *         description: The list of addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       404:
+ *         description: User with given ID is not found!
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/`,
+  isAdminOrSelf,
+  validate(validation.listAddresses),
+  asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+    res.send(user.addresses);
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/addresses:
+ *   post:
+ *     summary: Add an address to the user
+ *     description: The first address of a user is always the default one.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: The list of addresses after adding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       404:
+ *         description: User with given ID is not found!
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/`,
+  isAdminOrSelf,
+  validate(validation.createAddress),
+  asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+
+    const address = user.addresses.create(req.body);
+    user.addresses.push(address);
+    if (address.isDefault || user.addresses.length === 1) {
+      user.setDefaultAddress(address._id);
+    }
+    await user.save();
+
+    res.send(user.addresses);
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/addresses/{addressId}:
+ *   put:
+ *     summary: Update an address of the user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User id
+ *       - in: path
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Address id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: The list of addresses after updating
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       404:
+ *         description: User or address not found
+ *       422:
+ *         description: Validation failed
+ */
+router.put(
+  `/:addressId`,
+  isAdminOrSelf,
+  validate(validation.updateAddress),
+  asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) throw new ApiError(404, "Address not found!");
+
+    const { isDefault, ...fields } = req.body;
+    address.set(fields);
+    //Unsetting the default is done by making another address the default
+    if (isDefault) user.setDefaultAddress(address._id);
+    await user.save();
+
+    res.send(user.addresses);
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/addresses/{addressId}:
+ *   delete:
+ *     summary: Remove an address of the user
+ *     description: When the default address is removed the first remaining address becomes the default.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User id
+ *       - in: path
+ *         name: addressId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Address id
+ *     responses:
+ *       200:
+ *         description: The list of addresses after removing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       404:
+ *         description: User or address not found
+ *       422:
+ *         description: Validation failed
+ */
+router.delete(
+  `/:addressId`,
+  isAdminOrSelf,
+  validate(validation.deleteAddress),
+  asyncHandler(async (req, res) => {
+    const user = await findUser(req.params.id);
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) throw new ApiError(404, "Address not found!");
+
+    address.remove();
+    if (address.isDefault && user.addresses.length) {
+      user.setDefaultAddress(user.addresses[0]._id);
+    }
+    await user.save();
+
+    res.send(user.addresses);
+  })
+);
+
+module.exports = router;
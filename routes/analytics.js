@@ -0,0 +1,328 @@
+const express = require("express");
+const router = express.Router();
+const { isAdmin } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const validation = require("../validations/analytics");
+
+//Model
+const { Order } = require("../models/Order");
+const { Product } = require("../models/Product");
+
+//Orders counted as revenue, pending and cancelled orders are not paid
+const REVENUE_STATUSES = ["paid", "shipped", "delivered"];
+
+//$dateToString format of every revenue interval
+const INTERVAL_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+//$match stage of the revenue orders placed between from and to
+function matchRevenueOrders({ from, to }) {
+  const match = { status: { $in: REVENUE_STATUSES } };
+  if (from || to) {
+    match.dateOrdered = {};
+    if (from) match.dateOrdered.$gte = from;
+    if (to) match.dateOrdered.$lte = to;
+  }
+  return { $match: match };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: Sales numbers for the admin dashboard. Only paid, shipped and delivered orders are counted.
+ */
+
+/**
+ * @swagger
+ * components:
+ *    parameters:
+ *      from:
+ *        in: query
+ *        name: from
+ *        schema:
+ *          type: string
+ *          format: date-time
+ *        description: Only orders placed on or after this date, a date without a time such as 2021-05-01 starts at midnight in the timezone of the request, or of the server
+ *      to:
+ *        in: query
+ *        name: to
+ *        schema:
+ *          type: string
+ *          format: date-time
+ *        description: Only orders placed on or before this date, a date without a time such as 2021-05-31 includes that whole day in the timezone of the request, or of the server
+ */
+
+router.use(isAdmin);
+
+/**
+ * @swagger
+ * /analytics/summary:
+ *   get:
+ *     summary: Total revenue, order count and average order value
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/from'
+ *       - $ref: '#/components/parameters/to'
+ *     responses:
+ *       200:
+ *         description: Sales summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalRevenue:
+ *                   type: number
+ *                 orderCount:
+ *                   type: integer
+ *                 averageOrderValue:
+ *                   type: number
+ *             example:
+ *               totalRevenue: 4250000
+ *               orderCount: 17
+ *               averageOrderValue: 250000
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/summary`,
+  validate(validation.summary),
+  asyncHandler(async (req, res) => {
+    const [summary] = await Order.aggregate([
+      matchRevenueOrders(req.query),
+      {
+        $group: {
+          _id: null,
+          totalRevenue: { $sum: "$totalPrice" },
+          orderCount: { $sum: 1 },
+          averageOrderValue: { $avg: "$totalPrice" },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]);
+
+    res.send(
+      summary || { totalRevenue: 0, orderCount: 0, averageOrderValue: 0 }
+    );
+  })
+);
+
+/**
+ * @swagger
+ * /analytics/revenue:
+ *   get:
+ *     summary: Revenue and order count per day, week or month
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/from'
+ *       - $ref: '#/components/parameters/to'
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           example: Asia/Jakarta
+ *         description: Timezone the periods are computed in, defaults to the server timezone
+ *     responses:
+ *       200:
+ *         description: Revenue per period, oldest first. Periods look like 2021-05-14, 2021-W19 or 2021-05.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   period:
+ *                     type: string
+ *                   revenue:
+ *                     type: number
+ *                   orderCount:
+ *                     type: integer
+ *             example:
+ *               - period: 2021-05-14
+ *                 revenue: 570000
+ *                 orderCount: 2
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/revenue`,
+  validate(validation.revenue),
+  asyncHandler(async (req, res) => {
+    const revenue = await Order.aggregate([
+      matchRevenueOrders(req.query),
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: INTERVAL_FORMATS[req.query.interval],
+              date: "$dateOrdered",
+              timezone: req.query.timezone,
+            },
+          },
+          revenue: { $sum: "$totalPrice" },
+          orderCount: { $sum: 1 },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, period: "$_id", revenue: 1, orderCount: 1 } },
+    ]);
+
+    res.send(revenue);
+  })
+);
+
+/**
+ * @swagger
+ * /analytics/top-products:
+ *   get:
+ *     summary: Best selling products by quantity
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/from'
+ *       - $ref: '#/components/parameters/to'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Products sorted by sold quantity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                   quantity:
+ *                     type: integer
+ *                   revenue:
+ *                     type: number
+ *             example:
+ *               - product: 6090df863dbf1045fc651cdb
+ *                 name: Kemeja Lengan Panjang
+ *                 quantity: 12
+ *                 revenue: 3000000
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/top-products`,
+  validate(validation.topProducts),
+  asyncHandler(async (req, res) => {
+    const topProducts = await Order.aggregate([
+      matchRevenueOrders(req.query),
+      { $unwind: "$orderItems" },
+      {
+        $lookup: {
+          from: "orderitems",
+          localField: "orderItems",
+          foreignField: "_id",
+          as: "orderItem",
+        },
+      },
+      { $unwind: "$orderItem" },
+      {
+        $group: {
+          _id: "$orderItem.product",
+          name: { $last: "$orderItem.productName" },
+          quantity: { $sum: "$orderItem.quantity" },
+          revenue: { $sum: "$orderItem.subtotal" },
+        },
+      },
+      { $sort: { quantity: -1 } },
+      { $limit: req.query.limit },
+      {
+        $project: { _id: 0, product: "$_id", name: 1, quantity: 1, revenue: 1 },
+      },
+    ]);
+
+    res.send(topProducts);
+  })
+);
+
+/**
+ * @swagger
+ * /analytics/low-stock:
+ *   get:
+ *     summary: Products, or variants of products, that are running out of stock, lowest total stock first
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Products or variants with stock less than or equal to this
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Low stock products, with only their low stock variants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Product'
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/low-stock`,
+  validate(validation.lowStock),
+  asyncHandler(async (req, res) => {
+    const { threshold } = req.query;
+    const products = await Product.find({
+      $or: [
+        { stock: { $lte: threshold } },
+        { variants: { $elemMatch: { stock: { $lte: threshold } } } },
+      ],
+    })
+      .select("name image stock price variants")
+      .sort({ stock: 1 })
+      .limit(req.query.limit);
+
+    //Only the variants running out of stock are listed
+    res.send(
+      products.map((product) => ({
+        ...product.toJSON(),
+        variants: product.variants
+          .filter((variant) => variant.stock <= threshold)
+          .map((variant) => variant.toJSON()),
+      }))
+    );
+  })
+);
+
+module.exports = router;
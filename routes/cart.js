@@ -0,0 +1,449 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const { getShippingDetails, createOrder } = require("../helpers/order");
+const { notifyOrderPlaced } = require("../helpers/notifications");
+const validation = require("../validations/cart");
+
+//Model
+const { Cart } = require("../models/Cart");
+const { Product } = require("../models/Product");
+
+//Cart of the user, created on first use
+function findOrCreateCart(userId) {
+  return Cart.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true }
+  );
+}
+
+//Price of the product, or its variant, throws when it can't be put in the
+//cart with this quantity. Products with variants can only be put by variant.
+async function checkAvailability(productId, variantId, quantity) {
+  const product = await Product.findById(productId).select(
+    "price stock variants"
+  );
+  if (!product) throw new ApiError(404, "Product not found!");
+
+  let variant;
+  if (variantId) {
+    variant = product.variants.id(variantId);
+    if (!variant) throw new ApiError(404, "Variant not found!");
+  } else if (product.variants.length) {
+    throw new ApiError(400, "Choose a variant of the product!", [
+      {
+        location: "body",
+        field: "variant",
+        message: "variant is required for products with variants",
+      },
+    ]);
+  }
+
+  const stock = variant ? variant.stock : product.stock;
+  if (quantity > stock) {
+    throw new ApiError(400, "Not enough stock!", [
+      {
+        location: "body",
+        field: "quantity",
+        message: `only ${stock} left in stock`,
+      },
+    ]);
+  }
+  return product.getPrice(variant);
+}
+
+//Cart with the current price and availability of every item
+async function toCartResponse(cart) {
+  await cart
+    .populate("items.product", "name price image images stock options variants")
+    .execPopulate();
+
+  //Products and variants removed from the catalogue are left out
+  const items = cart.items
+    .map((item) => ({
+      item,
+      product: item.product,
+      variant:
+        item.product && item.variant
+          ? item.product.variants.id(item.variant)
+          : undefined,
+    }))
+    .filter(
+      ({ item, product, variant }) => product && (!item.variant || variant)
+    )
+    .map(({ item, product, variant }) => {
+      const unitPrice = product.getPrice(variant);
+      const stock = variant ? variant.stock : product.stock;
+      return {
+        product,
+        variant: variant
+          ? {
+              id: variant.id,
+              sku: variant.sku,
+              name: product.getVariantName(variant),
+              image: variant.image ? product.findImage(variant.image) : null,
+            }
+          : null,
+        quantity: item.quantity,
+        unitPrice,
+        priceChanged: item.unitPrice !== unitPrice,
+        isAvailable: item.quantity <= stock,
+        subtotal: unitPrice * item.quantity,
+      };
+    });
+
+  return {
+    id: cart.id,
+    user: cart.user,
+    items,
+    subtotal: items.reduce((sum, item) => sum + item.subtotal, 0),
+    dateUpdated: cart.dateUpdated,
+  };
+}
+
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      Cart:
+ *        type: object
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Auto generated id of the cart
+ *          user:
+ *            type: string
+ *            description: The id of the cart owner
+ *          items:
+ *            type: array
+ *            items:
+ *              type: object
+ *              properties:
+ *                product:
+ *                  $ref: '#/components/schemas/Product'
+ *                variant:
+ *                  type: object
+ *                  nullable: true
+ *                  description: The chosen variant, null for products without variants
+ *                  properties:
+ *                    id:
+ *                      type: string
+ *                    sku:
+ *                      type: string
+ *                    name:
+ *                      type: string
+ *                      description: Option values of the variant, e.g. M / Navy
+ *                    image:
+ *                      $ref: '#/components/schemas/ProductImage'
+ *                quantity:
+ *                  type: integer
+ *                unitPrice:
+ *                  type: number
+ *                  description: Current price of the product or variant
+ *                priceChanged:
+ *                  type: boolean
+ *                  description: true when the price changed since the product was put in the cart
+ *                isAvailable:
+ *                  type: boolean
+ *                  description: false when there is not enough stock for the quantity
+ *                subtotal:
+ *                  type: number
+ *          subtotal:
+ *            type: number
+ *            description: Sum of the items subtotal at the current prices
+ *          dateUpdated:
+ *            type: date
+ *            description: Last time the cart was changed
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Shopping cart of the logged in user
+ */
+
+/**
+ * @swagger
+ * /cart:
+ *   get:
+ *     summary: Get the cart of the logged in user
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ */
+router.get(
+  `/`,
+  asyncHandler(async (req, res) => {
+    const cart = await findOrCreateCart(req.user.userId);
+    res.send(await toCartResponse(cart));
+  })
+);
+
+/**
+ * @swagger
+ * /cart/items:
+ *   post:
+ *     summary: Put a product in the cart, adding to the quantity already in it
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               product:
+ *                  type: string
+ *                  description: Id of the product.
+ *                  example: 6090df863dbf1045fc651cdb
+ *               variant:
+ *                  type: string
+ *                  description: Id of the variant, required for products with variants.
+ *                  example: 60b3c4d5e6f7a8b9c0d1e2f3
+ *               quantity:
+ *                  type: integer
+ *                  description: Quantity to add, defaults to 1.
+ *                  example: 2
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Not enough stock
+ *       404:
+ *         description: Product or variant not found
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/items`,
+  validate(validation.addItem),
+  asyncHandler(async (req, res) => {
+    const cart = await findOrCreateCart(req.user.userId);
+    const { product, variant } = req.body;
+    const item = cart.findItem(product, variant);
+    const quantity = (item ? item.quantity : 0) + req.body.quantity;
+    const unitPrice = await checkAvailability(product, variant, quantity);
+
+    if (item) {
+      item.quantity = quantity;
+      item.unitPrice = unitPrice;
+    } else {
+      cart.items.push({ product, variant, quantity, unitPrice });
+    }
+    await cart.save();
+
+    res.send(await toCartResponse(cart));
+  })
+);
+
+/**
+ * @swagger
+ * /cart/items/{productId}:
+ *   put:
+ *     summary: Change the quantity of a product in the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product id
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: The variant id, for products with variants
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                  type: integer
+ *                  example: 3
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         description: Not enough stock
+ *       404:
+ *         description: Product is not in the cart
+ *       422:
+ *         description: Validation failed
+ */
+router.put(
+  `/items/:productId`,
+  validate(validation.updateItem),
+  asyncHandler(async (req, res) => {
+    const cart = await findOrCreateCart(req.user.userId);
+    const item = cart.findItem(req.params.productId, req.query.variant);
+    if (!item) throw new ApiError(404, "Product is not in the cart!");
+
+    item.unitPrice = await checkAvailability(
+      req.params.productId,
+      req.query.variant,
+      req.body.quantity
+    );
+    item.quantity = req.body.quantity;
+    await cart.save();
+
+    res.send(await toCartResponse(cart));
+  })
+);
+
+/**
+ * @swagger
+ * /cart/items/{productId}:
+ *   delete:
+ *     summary: Remove a product from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product id
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: The variant id, for products with variants
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Product is not in the cart
+ *       422:
+ *         description: Validation failed
+ */
+router.delete(
+  `/items/:productId`,
+  validate(validation.removeItem),
+  asyncHandler(async (req, res) => {
+    const cart = await findOrCreateCart(req.user.userId);
+    const item = cart.findItem(req.params.productId, req.query.variant);
+    if (!item) throw new ApiError(404, "Product is not in the cart!");
+
+    cart.items = cart.items.filter((cartItem) => cartItem !== item);
+    await cart.save();
+
+    res.send(await toCartResponse(cart));
+  })
+);
+
+/**
+ * @swagger
+ * /cart/checkout:
+ *   post:
+ *     summary: Place an order with the content of the cart and empty it
+ *     description: Shipping details work like in POST /orders, prices and stock are checked again.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shippingAddress:
+ *                  type: object
+ *                  properties:
+ *                      street:
+ *                          type: string
+ *                      city:
+ *                          type: string
+ *                      zip:
+ *                          type: string
+ *                      country:
+ *                          type: string
+ *               addressId:
+ *                  type: string
+ *               phone:
+ *                  type: string
+ *               notes:
+ *                  type: string
+ *               couponCode:
+ *                  type: string
+ *                  description: Code of a coupon to apply.
+ *     responses:
+ *       200:
+ *         description: The placed order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: The cart is empty or some items are out of stock
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/checkout`,
+  validate(validation.checkout),
+  asyncHandler(async (req, res) => {
+    const userId = req.user.userId;
+    const cart = await Cart.findOne({ user: userId });
+    if (!cart || !cart.items.length) throw new ApiError(400, "Cart is empty!");
+
+    const shipping = await getShippingDetails(userId, req.body);
+    const orderItems = cart.items.map((item) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+    }));
+
+    //The order is placed and the cart emptied together or not at all
+    let order;
+    await mongoose.connection.transaction(async (session) => {
+      order = await createOrder(session, {
+        userId,
+        placedBy: userId,
+        orderItems,
+        shipping,
+        couponCode: req.body.couponCode,
+      });
+      cart.items = [];
+      await cart.save({ session });
+    });
+    notifyOrderPlaced(order);
+
+    res.send(order);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,308 @@
+const express = require("express");
+const router = express.Router();
+const { isAdmin } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const validation = require("../validations/categories");
+
+//Model
+const { Category } = require("../models/Category");
+const { Product } = require("../models/Product");
+
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      Category:
+ *        type: object
+ *        required:
+ *          - name
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Auto generated id of the category
+ *          name:
+ *            type: string
+ *            description: Name of the category
+ *          slug:
+ *            type: string
+ *            description: Unique url friendly name, generated from the name when not given
+ *          icon:
+ *            type: string
+ *            description: Icon name of the category
+ *          color:
+ *            type: string
+ *            description: Color of the category
+ *          parent:
+ *            type: string
+ *            description: Id of the parent category, null for top level categories
+ *        example:
+ *          id: 60a3b1f2c1d4e52a6c8f0a11
+ *          name: Kemeja
+ *          slug: kemeja
+ *          icon: shirt
+ *          color: "#4f6d7a"
+ *          parent: null
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: All routes of categories
+ */
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Returns the list of all categories
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: The list of all categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ *       500:
+ *         description: Internal server error
+ */
+router.get(
+  `/`,
+  asyncHandler(async (req, res) => {
+    const categoryList = await Category.find().sort({ name: 1 });
+    res.send(categoryList);
+  })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     summary: Get the category by id
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The category id
+ *     responses:
+ *       200:
+ *         description: Category Data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Internal server error
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/:id`,
+  validate(validation.getCategory),
+  asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      throw new ApiError(404, "Category with given ID is not found");
+    }
+
+    res.send(category);
+  })
+);
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     summary: Create a new category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                  type: string
+ *                  example: Kemeja
+ *               slug:
+ *                  type: string
+ *                  example: kemeja
+ *               icon:
+ *                  type: string
+ *                  example: shirt
+ *               color:
+ *                  type: string
+ *                  example: "#4f6d7a"
+ *               parent:
+ *                  type: string
+ *                  description: Id of the parent category.
+ *                  example: 60a3b1f2c1d4e52a6c8f0a10
+ *     responses:
+ *       200:
+ *         description: Category successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Category'
+ *       400:
+ *          description: Failed To Create Category
+ *       500:
+ *         description: Internal Server Error
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/`,
+  isAdmin,
+  validate(validation.createCategory),
+  asyncHandler(async (req, res) => {
+    if (req.body.parent && !(await Category.exists({ _id: req.body.parent }))) {
+      throw new ApiError(400, "Parent category is not found!");
+    }
+
+    let category = new Category({
+      name: req.body.name,
+      slug: req.body.slug,
+      icon: req.body.icon,
+      color: req.body.color,
+      parent: req.body.parent || null,
+    });
+    category = await category.save();
+
+    res.send(category);
+  })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *  put:
+ *    summary: Update the category by the id
+ *    tags: [Categories]
+ *    security:
+ *      - bearerAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *        required: true
+ *        description: Category id
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            $ref: '#/components/schemas/Category'
+ *    responses:
+ *      200:
+ *        description: Category successfully updated!
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Category'
+ *      400:
+ *        description: Invalid parent category
+ *      404:
+ *        description: Category with given ID is not found!
+ *      500:
+ *        description: Internal Server Error!
+ *      422:
+ *        description: Validation failed
+ */
+router.put(
+  `/:id`,
+  isAdmin,
+  validate(validation.updateCategory),
+  asyncHandler(async (req, res) => {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      throw new ApiError(404, "Category with given ID is not found!");
+    }
+
+    if (req.body.parent) {
+      //A category can't be nested under itself or one of its subcategories
+      const descendantIds = await Category.findWithDescendantIds([category.id]);
+      const parentExists = await Category.exists({ _id: req.body.parent });
+      if (!parentExists || descendantIds.includes(String(req.body.parent))) {
+        throw new ApiError(400, "Invalid parent category!");
+      }
+    }
+
+    const fields = ["name", "slug", "icon", "color"];
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+    if (req.body.parent !== undefined) {
+      category.parent = req.body.parent || null;
+    }
+
+    res.send(await category.save());
+  })
+);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     summary: Remove the category by id
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Category id
+ *
+ *     responses:
+ *       200:
+ *         description: Category successfully deleted!
+ *       400:
+ *         description: Category still has subcategories or products
+ *       404:
+ *         description: Category not found!
+ *       500:
+ *         description: Internal Server Error!
+ *       422:
+ *         description: Validation failed
+ */
+router.delete(
+  "/:id",
+  isAdmin,
+  validate(validation.deleteCategory),
+  asyncHandler(async (req, res) => {
+    const [hasChildren, hasProducts] = await Promise.all([
+      Category.exists({ parent: req.params.id }),
+      Product.exists({ category: req.params.id }),
+    ]);
+    if (hasChildren || hasProducts) {
+      throw new ApiError(400, "Category still has subcategories or products!");
+    }
+
+    const deletedCategory = await Category.findByIdAndRemove(req.params.id);
+    if (!deletedCategory) throw new ApiError(404, "Category not found!");
+
+    return res.status(200).json({
+      success: true,
+      message: "Category successfully deleted!",
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require("express");
+const router = express.Router();
+const { isAdmin } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const validation = require("../validations/coupons");
+
+//Model
+const { Coupon } = require("../models/Coupon");
+
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      Coupon:
+ *        type: object
+ *        required:
+ *          - code
+ *          - type
+ *          - value
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Auto generated id of the coupon
+ *          code:
+ *            type: string
+ *            description: Code entered by customers, stored uppercase
+ *          type:
+ *            type: string
+ *            enum: [percentage, fixed]
+ *          value:
+ *            type: number
+ *            description: Percent off for percentage coupons, amount off for fixed coupons
+ *          minOrderValue:
+ *            type: number
+ *            description: Minimum order subtotal to use the coupon
+ *          maxDiscount:
+ *            type: number
+ *            nullable: true
+ *            description: Cap of the discount of percentage coupons
+ *          expiresAt:
+ *            type: string
+ *            format: date-time
+ *            nullable: true
+ *          usageLimit:
+ *            type: integer
+ *            nullable: true
+ *            description: How many times the coupon can be used in total, null for unlimited
+ *          usageLimitPerUser:
+ *            type: integer
+ *            description: How many times one user can use the coupon
+ *          usedCount:
+ *            type: integer
+ *            description: How many orders used the coupon, cancelled orders excluded
+ *          isActive:
+ *            type: boolean
+ *        example:
+ *          id: 60b0e4a2c3d4e5f6a7b8c9d0
+ *          code: RAMADHAN10
+ *          type: percentage
+ *          value: 10
+ *          minOrderValue: 200000
+ *          maxDiscount: 50000
+ *          expiresAt: 2021-05-31T23:59:59.000Z
+ *          usageLimit: 100
+ *          usageLimitPerUser: 1
+ *          usedCount: 12
+ *          isActive: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Discount coupons, admin only
+ */
+
+router.use(isAdmin);
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     summary: Returns the list of all coupons
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The list of all coupons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Coupon'
+ */
+router.get(
+  `/`,
+  asyncHandler(async (req, res) => {
+    const couponList = await Coupon.find().sort({ dateCreated: -1 });
+    res.send(couponList);
+  })
+);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   get:
+ *     summary: Get the coupon by id
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The coupon id
+ *     responses:
+ *       200:
+ *         description: Coupon Data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       404:
+ *         description: Coupon not found
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/:id`,
+  validate(validation.getCoupon),
+  asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) throw new ApiError(404, "Coupon with given ID is not found");
+
+    res.send(coupon);
+  })
+);
+
+/**
+ * @swagger
+ * /coupons:
+ *   post:
+ *     summary: Create a new coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: Coupon successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       409:
+ *         description: Code is already used
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/`,
+  validate(validation.createCoupon),
+  asyncHandler(async (req, res) => {
+    let coupon = new Coupon(req.body);
+    coupon = await coupon.save();
+
+    res.send(coupon);
+  })
+);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *  put:
+ *    summary: Update the coupon by the id
+ *    tags: [Coupons]
+ *    security:
+ *      - bearerAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *        required: true
+ *        description: Coupon id
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *          schema:
+ *            $ref: '#/components/schemas/Coupon'
+ *    responses:
+ *      200:
+ *        description: Coupon successfully updated!
+ *        content:
+ *          application/json:
+ *            schema:
+ *              $ref: '#/components/schemas/Coupon'
+ *      404:
+ *        description: Coupon with given ID is not found!
+ *      409:
+ *        description: Code is already used
+ *      422:
+ *        description: Validation failed
+ */
+router.put(
+  `/:id`,
+  validate(validation.updateCoupon),
+  asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) throw new ApiError(404, "Coupon with given ID is not found!");
+
+    coupon.set(req.body);
+    res.send(await coupon.save());
+  })
+);
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   delete:
+ *     summary: Remove the coupon by id
+ *     description: Orders that used the coupon keep their discount. Set isActive to false instead to keep the usage history.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Coupon id
+ *     responses:
+ *       200:
+ *         description: Coupon successfully deleted!
+ *       404:
+ *         description: Coupon not found!
+ *       422:
+ *         description: Validation failed
+ */
+router.delete(
+  "/:id",
+  validate(validation.deleteCoupon),
+  asyncHandler(async (req, res) => {
+    const deletedCoupon = await Coupon.findByIdAndRemove(req.params.id);
+    if (!deletedCoupon) throw new ApiError(404, "Coupon not found!");
+
+    return res.status(200).json({
+      success: true,
+      message: "Coupon successfully deleted!",
+    });
+  })
+);
+
+module.exports = router;
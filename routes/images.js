@@ -0,0 +1,266 @@
+const express = require("express");
+//Mounted on /products/:id/images, mergeParams gives access to the product id
+const router = express.Router({ mergeParams: true });
+const { isAdmin } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const { uploadImages } = require("../helpers/upload");
+const { processUploads, removeImage } = require("../helpers/images");
+const validation = require("../validations/images");
+
+//Model
+const { Product } = require("../models/Product");
+
+async function findProduct(id) {
+  const product = await Product.findById(id);
+  if (!product) throw new ApiError(404, "Product with given ID is not found!");
+  return product;
+}
+
+//Gallery image by id, or by index when given a number
+function findGalleryImage(product, image) {
+  const galleryImage =
+    typeof image === "number"
+      ? product.images[image]
+      : product.images.id(image);
+  if (!galleryImage) throw new ApiError(404, "Image is not in the gallery!");
+  return galleryImage;
+}
+
+router.use(isAdmin);
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   post:
+ *     summary: Add images at the end of the product gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                  type: array
+ *                  items:
+ *                      type: string
+ *                      format: binary
+ *                      description: Png or jpeg of at most 5 MB, up to 10 images
+ *     responses:
+ *       200:
+ *         description: Product successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *          description: Image File is not presented or more than 10 images
+ *       404:
+ *          description: Product with given ID is not found!
+ *       413:
+ *          description: Image is larger than 5 MB
+ *       415:
+ *          description: Image is not a png or jpeg
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/`,
+  uploadImages("images"),
+  validate(validation.addImages),
+  asyncHandler(async (req, res) => {
+    const files = req.files;
+    if (!files || !files.length) {
+      throw new ApiError(400, "Image file is not presented");
+    }
+
+    const product = await findProduct(req.params.id);
+    const images = await processUploads(files);
+    try {
+      product.images.push(...images);
+      res.send(await product.save());
+    } catch (err) {
+      await Promise.all(images.map(removeImage));
+      throw err;
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/images/order:
+ *   put:
+ *     summary: Reorder the product gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 description: Id of every gallery image, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Product successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *          description: imageIds are not the ids of the gallery images
+ *       404:
+ *          description: Product with given ID is not found!
+ *       422:
+ *         description: Validation failed
+ */
+router.put(
+  `/order`,
+  validate(validation.reorderImages),
+  asyncHandler(async (req, res) => {
+    const product = await findProduct(req.params.id);
+    const { imageIds } = req.body;
+
+    const images = imageIds.map((imageId) => product.images.id(imageId));
+    if (images.includes(null) || images.length !== product.images.length) {
+      throw new ApiError(400, "Invalid image order!", [
+        {
+          location: "body",
+          field: "imageIds",
+          message: "imageIds must list every gallery image once",
+        },
+      ]);
+    }
+
+    product.images = images;
+    res.send(await product.save());
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}/promote:
+ *   post:
+ *     summary: Make a gallery image the main image of the product
+ *     description: The previous main image takes its place in the gallery.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *       - in: path
+ *         name: imageId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Gallery image id
+ *     responses:
+ *       200:
+ *         description: Product successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *          description: Product or image not found
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/:imageId/promote`,
+  validate(validation.promoteImage),
+  asyncHandler(async (req, res) => {
+    const product = await findProduct(req.params.id);
+    const galleryImage = findGalleryImage(product, req.params.imageId);
+    const index = product.images.indexOf(galleryImage);
+
+    const mainImage = product.image;
+    product.image = galleryImage.toObject();
+    if (mainImage) product.images.set(index, mainImage.toObject());
+    else product.images.splice(index, 1);
+
+    res.send(await product.save());
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/images/{image}:
+ *   delete:
+ *     summary: Remove an image from the product gallery along with its files
+ *     description: Variants showing the image are left without image.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *       - in: path
+ *         name: image
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Gallery image id, or its index starting from 0
+ *     responses:
+ *       200:
+ *         description: Product successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *          description: Product or image not found
+ *       422:
+ *         description: Validation failed
+ */
+router.delete(
+  `/:image`,
+  validate(validation.removeImage),
+  asyncHandler(async (req, res) => {
+    const product = await findProduct(req.params.id);
+    const galleryImage = findGalleryImage(product, req.params.image);
+
+    product.images.pull(galleryImage._id);
+    product.clearVariantImages([galleryImage]);
+    const updatedProduct = await product.save();
+    await removeImage(galleryImage);
+
+    res.send(updatedProduct);
+  })
+);
+
+module.exports = router;
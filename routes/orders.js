@@ -1,9 +1,25 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
+const { isAdmin } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const paginate = require("../helpers/paginate");
+const validation = require("../validations/orders");
 
 //Model
-const { Order } = require("../models/Order");
+const { Order, ORDER_STATUS_TRANSITIONS } = require("../models/Order");
 const { OrderItem } = require("../models/OrderItem");
+const {
+  getShippingDetails,
+  createOrder,
+  releaseOrder,
+} = require("../helpers/order");
+const {
+  notifyOrderPlaced,
+  notifyOrderStatusChanged,
+} = require("../helpers/notifications");
 
 /**
  * @swagger
@@ -14,6 +30,48 @@ const { OrderItem } = require("../models/OrderItem");
  *          product: 6075ab19b1e46236c89bf80d
  */
 
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      OrderItem:
+ *        type: object
+ *        properties:
+ *          quantity:
+ *            type: integer
+ *            description: Quantity of the purchased product
+ *          product:
+ *            type: string
+ *            description: Id of the purchased product
+ *          variant:
+ *            type: string
+ *            description: Id of the purchased variant of the product
+ *          productName:
+ *            type: string
+ *            description: Name of the product when the order was placed
+ *          sku:
+ *            type: string
+ *            description: Sku of the variant when the order was placed
+ *          variantName:
+ *            type: string
+ *            description: Option values of the variant when the order was placed
+ *          unitPrice:
+ *            type: number
+ *            description: Price of the product when the order was placed
+ *          subtotal:
+ *            type: number
+ *            description: unitPrice * quantity
+ *        example:
+ *          quantity: 2
+ *          product: 6075ab19b1e46236c89bf80d
+ *          variant: 60b3c4d5e6f7a8b9c0d1e2f3
+ *          productName: Kemeja Lengan Panjang
+ *          sku: KLP-M-NAVY
+ *          variantName: M / Navy
+ *          unitPrice: 160000
+ *          subtotal: 320000
+ */
+
 /**
  * @swagger
  * components:
@@ -33,21 +91,106 @@ const { OrderItem } = require("../models/OrderItem");
  *            items:
  *              $ref: '#/components/schemas/OrderItem'
  *            description: List of object that contain quantity and id of the purchased product
+ *          subtotal:
+ *            type: number
+ *            description: Sum of the order items subtotal
+ *          discounts:
+ *            type: array
+ *            items:
+ *              type: object
+ *              properties:
+ *                label:
+ *                  type: string
+ *                amount:
+ *                  type: number
+ *            description: Discounts taken off the subtotal
+ *          coupon:
+ *            type: string
+ *            description: Id of the coupon applied to the order
+ *          taxes:
+ *            type: array
+ *            items:
+ *              type: object
+ *              properties:
+ *                label:
+ *                  type: string
+ *                rate:
+ *                  type: number
+ *                amount:
+ *                  type: number
+ *            description: Taxes applied on the discounted subtotal
  *          totalPrice:
  *            type: number
- *            description: Total price of the purchased product
+ *            description: subtotal - discounts + taxes, computed by the server
  *          user:
  *            type: string
  *            description: The id of the user that placing the order
+ *          shippingAddress:
+ *            type: object
+ *            properties:
+ *              street:
+ *                type: string
+ *              city:
+ *                type: string
+ *              zip:
+ *                type: string
+ *              country:
+ *                type: string
+ *            description: Where the order is shipped, kept as it was when the order was placed
+ *          phone:
+ *            type: string
+ *            description: Contact phone for the delivery
+ *          notes:
+ *            type: string
+ *            description: Notes from the customer
  *          dateOrdered:
  *            type: date
  *            description: Date of order take place
+ *          status:
+ *            type: string
+ *            enum: [pending, paid, shipped, delivered, cancelled]
+ *            description: Current status of the order
+ *          paymentStatus:
+ *            type: string
+ *            enum: [unpaid, pending, paid, failed]
+ *            description: Status of the last payment of the order, a paid payment moves a pending order to paid
+ *          isStockReserved:
+ *            type: boolean
+ *            description: The stock of the items was reserved when the order was placed and is given back when it is cancelled or deleted
+ *          needsRefund:
+ *            type: boolean
+ *            description: The order was paid after it was cancelled and the customer has to be refunded
+ *          statusHistory:
+ *            type: array
+ *            items:
+ *              type: object
+ *              properties:
+ *                status:
+ *                  type: string
+ *                changedBy:
+ *                  type: string
+ *                note:
+ *                  type: string
+ *                dateChanged:
+ *                  type: date
+ *            description: Every status the order has been through, oldest first
  *        example:
  *          id: 608a50efb895e53188a40bf5
  *          orderItems: [{ quantity : 2, product : 608a50efb895e53188a40bf5}]
+ *          subtotal: 320000
+ *          discounts: []
+ *          taxes: []
  *          totalPrice: 320000
  *          user: 60896dfd4425c657ccfea7a6
+ *          shippingAddress: { street: Jl. Merdeka No. 1, city: Bandung, zip: "40111", country: Indonesia }
+ *          phone: "+6281234567890"
+ *          notes: Please call before delivery
  *          dateOrdered: 2021-04-29T16:33:23.160Z
+ *          status: pending
+ *          paymentStatus: unpaid
+ *          isStockReserved: true
+ *          needsRefund: false
+ *          statusHistory: [{ status: pending, changedBy: 60896dfd4425c657ccfea7a6, note: "", dateChanged: 2021-04-29T16:33:23.160Z }]
  */
 
 /**
@@ -63,6 +206,14 @@ const { OrderItem } = require("../models/OrderItem");
  *   get:
  *     summary: Returns the list of all order
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: needsRefund
+ *         schema:
+ *           type: boolean
+ *         description: Only orders that were paid after they were cancelled
  *     responses:
  *       200:
  *         description: The list of all order
@@ -76,34 +227,135 @@ const { OrderItem } = require("../models/OrderItem");
  *         description: Internal server error
  *       404:
  *         description: Orders not found
+ *       422:
+ *         description: Validation failed
  */
-router.get(`/`, async (req, res) => {
-  const orderList = await Order.find()
-    .populate("user", "name")
-    .sort({ dateOrdered: -1 })
-    .catch((err) => {
-      return res.status(500).json({
-        success: false,
-        message: "Internal server error!",
-      });
-    }); //sort by the newest
+router.get(
+  `/`,
+  isAdmin,
+  validate(validation.listOrders),
+  asyncHandler(async (req, res) => {
+    const filter = {};
+    if (req.query.needsRefund !== undefined) {
+      filter.needsRefund = req.query.needsRefund;
+    }
+    const orderList = await Order.find(filter)
+      .populate("user", "name")
+      .sort({ dateOrdered: -1 }); //sort by the newest
 
-  if (!orderList) {
-    res.status(404).json({
-      success: false,
-      message: "Orders not found!",
-    });
-  }
+    res.send(orderList);
+  })
+);
 
-  res.send(orderList);
-});
+/**
+ * @swagger
+ * /orders/user/{userId}:
+ *   get:
+ *     summary: Returns a page of the orders of the user, newest first
+ *     description: Customers can only list their own orders.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The user id
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number, starts from 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of orders per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, shipped, delivered, cancelled]
+ *         description: Only orders with this status
+ *     responses:
+ *       200:
+ *         description: A page of orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalCount:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 previous:
+ *                   type: string
+ *                   nullable: true
+ *       403:
+ *         description: Not the logged in user
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/user/:userId`,
+  validate(validation.listUserOrders),
+  asyncHandler(async (req, res) => {
+    if (!req.user.isAdmin && req.params.userId !== req.user.userId) {
+      throw new ApiError(403, "Forbidden!");
+    }
+
+    const { page, limit, status } = req.query;
+    const filter = { user: req.params.userId };
+    if (status) filter.status = status;
+
+    const [orderList, totalCount] = await Promise.all([
+      Order.find(filter)
+        .populate({
+          path: "orderItems",
+          populate: {
+            path: "product",
+            select: "name image",
+          },
+        })
+        .sort({ dateOrdered: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter),
+    ]);
+
+    res.send({
+      orders: orderList,
+      ...paginate(req, { page, limit, totalCount }),
+    });
+  })
+);
 
 /**
  * @swagger
  * /orders/{id}:
  *   get:
  *     summary: Get the order by id
+ *     description: Customers can only get their own orders.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -120,35 +372,37 @@ router.get(`/`, async (req, res) => {
  *               $ref: '#/components/schemas/Order'
  *       500:
  *         description: Internal server error
+ *       403:
+ *         description: The order belongs to another user
  *       404:
  *         description: Order not found
+ *       422:
+ *         description: Validation failed
  */
 
-router.get(`/:id`, async (req, res) => {
-  const order = await Order.findById(req.params.id)
-    .populate("user", "name")
-    .populate({
-      path: "orderItems",
-      populate: {
-        path: "product",
-        select: "name price ",
-      },
-    })
-    .catch((err) => {
-      return res.status(500).json({
-        success: false,
-        message: "Internal server error!",
+router.get(
+  `/:id`,
+  validate(validation.getOrder),
+  asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id)
+      .populate("user", "name")
+      .populate({
+        path: "orderItems",
+        populate: {
+          path: "product",
+          select: "name image",
+        },
       });
-    });
+    if (!order) throw new ApiError(404, "Order not found!");
+    //Customers can only see their own orders
+    const isOwner = order.user && order.user.id === req.user.userId;
+    if (!req.user.isAdmin && !isOwner) {
+      throw new ApiError(403, "Forbidden!");
+    }
 
-  if (!order) {
-    res.status(404).json({
-      success: false,
-      message: "Order not found!",
-    });
-  }
-  res.send(order);
-});
+    res.send(order);
+  })
+);
 
 /**
  * @swagger
@@ -156,6 +410,8 @@ router.get(`/:id`, async (req, res) => {
  *   post:
  *     summary: Create a new order
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -176,6 +432,10 @@ router.get(`/:id`, async (req, res) => {
  *                              type: string
  *                              description: Id of the purchased product
  *                              example: 608a50efb895e53188a40bf5
+ *                          variant:
+ *                              type: string
+ *                              description: Id of the purchased variant, required for products with variants
+ *                              example: 60b3c4d5e6f7a8b9c0d1e2f3
  *                  description: List of purchased product & quantity.
  *                  example:
  *                      -   quantity: 2
@@ -184,8 +444,40 @@ router.get(`/:id`, async (req, res) => {
  *                          product: 6090dfc53dbf1045fc651cdc
  *               user:
  *                  type: string
- *                  description: The user's id.
+ *                  description: The user's id. Only used when the order is placed by an admin, otherwise the logged in user is used.
  *                  example: 60896dfd4425c657ccfea7a6
+ *               shippingAddress:
+ *                  type: object
+ *                  description: Where to ship the order. When neither this nor addressId is given the user's default address is used.
+ *                  properties:
+ *                      street:
+ *                          type: string
+ *                          example: Jl. Merdeka No. 1
+ *                      city:
+ *                          type: string
+ *                          example: Bandung
+ *                      zip:
+ *                          type: string
+ *                          example: "40111"
+ *                      country:
+ *                          type: string
+ *                          example: Indonesia
+ *               addressId:
+ *                  type: string
+ *                  description: Id of one of the user's saved addresses, can't be combined with shippingAddress.
+ *                  example: 60a4c2e1f1a2b3c4d5e6f701
+ *               phone:
+ *                  type: string
+ *                  description: Contact phone, defaults to the user's phone.
+ *                  example: "+6281234567890"
+ *               notes:
+ *                  type: string
+ *                  description: Notes for the delivery.
+ *                  example: Please call before delivery
+ *               couponCode:
+ *                  type: string
+ *                  description: Code of a coupon to apply, its discount is added to discounts.
+ *                  example: RAMADHAN10
  *     responses:
  *       200:
  *         description: Order successfully created
@@ -194,67 +486,159 @@ router.get(`/:id`, async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Order'
  *       400:
- *          description: Failed To Create Order
+ *          description: Failed To Create Order or some items are out of stock
  *       500:
  *         description: Internal Server Error
+ *       422:
+ *         description: Validation failed
  */
 
-router.post(`/`, async (req, res) => {
-  try {
-    const orderItemsIds = await Promise.all(
-      req.body.orderItems.map(async (orderItem) => {
-        let newOrderItem = new OrderItem({
-          quantity: orderItem.quantity,
-          product: orderItem.product,
-        });
-        newOrderItem = await newOrderItem.save();
-        return newOrderItem._id;
-      })
-    );
+router.post(
+  `/`,
+  validate(validation.createOrder),
+  asyncHandler(async (req, res) => {
+    const orderItems = req.body.orderItems;
+    //Customers can only place orders for themselves
+    const userId = req.user.isAdmin
+      ? req.body.user || req.user.userId
+      : req.user.userId;
+    const shipping = await getShippingDetails(userId, req.body);
 
-    const totalPrices = await Promise.all(
-      orderItemsIds.map(async (orderItemId) => {
-        const orderItem = await OrderItem.findById(orderItemId).populate(
-          "product",
-          "price"
-        );
-        const totalPrice = orderItem.product.price * orderItem.quantity;
-        return totalPrice;
-      })
-    );
+    //Stock, order items and order are saved together or not at all
+    let order;
+    await mongoose.connection.transaction(async (session) => {
+      order = await createOrder(session, {
+        userId,
+        placedBy: req.user.userId,
+        orderItems,
+        shipping,
+        couponCode: req.body.couponCode,
+      });
+    });
+    notifyOrderPlaced(order);
 
-    const totalPrice = totalPrices.reduce((a, b) => a + b, 0);
+    res.send(order);
+  })
+);
 
-    let order = new Order({
-      orderItems: orderItemsIds,
-      totalPrice,
-      user: req.body.user,
-    });
+/**
+ * @swagger
+ * /orders/{id}/status:
+ *   put:
+ *     summary: Change the status of the order
+ *     description: "Allowed transitions: pending -> paid | cancelled, paid -> shipped | cancelled, shipped -> delivered. Cancelling an order restores the stock of its items and flags it with needsRefund when it was paid."
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                  type: string
+ *                  enum: [pending, paid, shipped, delivered, cancelled]
+ *                  description: The new status.
+ *                  example: paid
+ *               note:
+ *                  type: string
+ *                  description: Optional note kept in the status history.
+ *                  example: Payment confirmed by bank transfer
+ *     responses:
+ *       200:
+ *         description: Order status successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Illegal status transition
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order status was changed by another request
+ *       500:
+ *         description: Internal Server Error
+ *       422:
+ *         description: Validation failed
+ */
+router.put(
+  "/:id/status",
+  isAdmin,
+  validate(validation.updateOrderStatus),
+  asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.params.id);
+    if (!order) throw new ApiError(404, "Order not found!");
 
-    order = await order.save();
+    const status = req.body.status;
+    if (!order.canTransitionTo(status)) {
+      const allowedStatus = ORDER_STATUS_TRANSITIONS[order.status];
+      throw new ApiError(
+        400,
+        `Cannot change order status from ${order.status} to ${status}!`,
+        [
+          {
+            location: "body",
+            field: "status",
+            message: `status must be one of [${allowedStatus.join(", ")}]`,
+          },
+        ]
+      );
+    }
 
-    if (!order) {
-      return res.status(400).json({
-        success: false,
-        message: "Failed to create order!",
-      });
+    const $set = { status };
+    //A paid order that is cancelled has to be refunded
+    if (status === "cancelled" && order.paymentStatus === "paid") {
+      $set.needsRefund = true;
     }
-    res.send(order);
-  } catch (err) {
-    console.log(err);
-    return res.status(500).json({
-      success: false,
-      message: "Internal Server Error!s",
+
+    let updatedOrder;
+    await mongoose.connection.transaction(async (session) => {
+      //Only update when the status is still the one we checked against. Orders
+      //placed before the statuses need npm run migrate:orders to match.
+      updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        {
+          $set,
+          $push: {
+            statusHistory: {
+              status,
+              changedBy: req.user.userId,
+              note: req.body.note,
+            },
+          },
+        },
+        { new: true, session }
+      );
+      if (!updatedOrder) {
+        throw new ApiError(409, "Order status was changed by another request!");
+      }
+
+      if (status === "cancelled") await releaseOrder(session, updatedOrder);
     });
-  }
-});
+    notifyOrderStatusChanged(updatedOrder);
+
+    res.send(updatedOrder);
+  })
+);
 
 /**
  * @swagger
  * /orders/{id}:
  *   delete:
- *     summary: Remove the order by id
+ *     summary: Remove the order by id and restore the stock of its items
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -270,33 +654,36 @@ router.post(`/`, async (req, res) => {
  *         description: Order not found!
  *       500:
  *         description: Internal Server Error!
+ *       422:
+ *         description: Validation failed
  */
 
-router.delete("/:id", async (req, res) => {
-  const deletedOrder = await Order.findByIdAndRemove(req.params.id).catch(
-    (err) => {
-      return res.status(500).json({
-        success: false,
-        message: "Internal Server Error!",
+router.delete(
+  "/:id",
+  isAdmin,
+  validate(validation.deleteOrder),
+  asyncHandler(async (req, res) => {
+    await mongoose.connection.transaction(async (session) => {
+      const deletedOrder = await Order.findByIdAndRemove(req.params.id, {
+        session,
       });
-    }
-  );
+      if (!deletedOrder) throw new ApiError(404, "Order not found!");
 
-  if (!deletedOrder) {
-    return res.status(404).json({
-      success: false,
-      message: "Order not found!",
+      //Stock and coupon of cancelled orders have already been released
+      if (deletedOrder.status !== "cancelled") {
+        await releaseOrder(session, deletedOrder);
+      }
+      await OrderItem.deleteMany(
+        { _id: { $in: deletedOrder.orderItems } },
+        { session }
+      );
     });
-  }
-
-  await deletedOrder.orderItems.map(async (orderItem) => {
-    await OrderItem.findByIdAndRemove(orderItem);
-  });
 
-  return res.status(200).json({
-    success: true,
-    message: "Order successfully deleted!",
-  });
-});
+    return res.status(200).json({
+      success: true,
+      message: "Order successfully deleted!",
+    });
+  })
+);
 
 module.exports = router;
@@ -0,0 +1,326 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const { getPaymentProvider } = require("../helpers/payments");
+const { notifyOrderStatusChanged } = require("../helpers/notifications");
+const validation = require("../validations/payments");
+
+//Model
+const { Payment } = require("../models/Payment");
+const { Order } = require("../models/Order");
+const { User } = require("../models/User");
+
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      Payment:
+ *        type: object
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Auto generated id of the payment
+ *          order:
+ *            type: string
+ *            description: Id of the paid order
+ *          user:
+ *            type: string
+ *            description: Id of the order owner
+ *          provider:
+ *            type: string
+ *            enum: [fake, midtrans]
+ *          amount:
+ *            type: number
+ *            description: Total price of the order when the payment was started
+ *          status:
+ *            type: string
+ *            enum: [pending, paid, failed]
+ *          token:
+ *            type: string
+ *            nullable: true
+ *            description: Token of the provider payment page, e.g. for the Midtrans Snap popup
+ *          redirectUrl:
+ *            type: string
+ *            nullable: true
+ *            description: Page where the customer pays
+ *          reference:
+ *            type: string
+ *            nullable: true
+ *            description: Transaction id of the provider
+ *          dateCreated:
+ *            type: date
+ *        example:
+ *          id: 60b5d6e7f8a9b0c1d2e3f4a5
+ *          order: 608a50efb895e53188a40bf5
+ *          user: 60896dfd4425c657ccfea7a6
+ *          provider: midtrans
+ *          amount: 320000
+ *          status: pending
+ *          token: 66e4fa55-fdac-4ef9-91b5-733b97d1b862
+ *          redirectUrl: https://app.sandbox.midtrans.com/snap/v2/vtweb/66e4fa55-fdac-4ef9-91b5-733b97d1b862
+ *          reference: null
+ *          dateCreated: 2021-06-01T08:30:00.000Z
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payments of orders through the configured payment provider
+ */
+
+//The order of a notification follows its payment. A paid payment moves a
+//pending order to paid, a failed one lets the customer try again. A cancelled
+//order that gets paid is flagged for a refund, its stock is already released.
+//Returns the order when its status changed.
+async function updateOrderPayment(session, payment) {
+  const order = await Order.findById(payment.order).session(session);
+  if (!order || order.paymentStatus === "paid") return null;
+
+  //Updated in place, orders placed before some required fields existed
+  //wouldn't pass the validation of a save
+  const update = { $set: { paymentStatus: payment.status } };
+  const isPaid = payment.status === "paid" && order.canTransitionTo("paid");
+  if (isPaid) {
+    update.$set.status = "paid";
+    update.$push = {
+      statusHistory: { status: "paid", note: `Paid with ${payment.provider}` },
+    };
+  } else if (payment.status === "paid") {
+    update.$set.needsRefund = true;
+    update.$push = {
+      statusHistory: {
+        status: order.status,
+        note: `Paid with ${payment.provider} while ${order.status}, needs a refund`,
+      },
+    };
+  }
+
+  //A concurrent change of the order is a write conflict of the transaction
+  const updatedOrder = await Order.findByIdAndUpdate(order._id, update, {
+    new: true,
+    session,
+  });
+  return isPaid ? updatedOrder : null;
+}
+
+/**
+ * @swagger
+ * /payments:
+ *   post:
+ *     summary: Start the payment of an order
+ *     description: The pending payment of the order is returned when there is one for its current total price. The order is paid once the provider notifies the payment.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               order:
+ *                 type: string
+ *                 description: Id of the order to pay
+ *                 example: 608a50efb895e53188a40bf5
+ *     responses:
+ *       200:
+ *         description: The payment, with the token or redirectUrl to pay
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       403:
+ *         description: Not the owner of the order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not waiting for payment
+ *       422:
+ *         description: Validation failed
+ *       502:
+ *         description: The payment provider failed
+ */
+router.post(
+  `/`,
+  validate(validation.createPayment),
+  asyncHandler(async (req, res) => {
+    const order = await Order.findById(req.body.order);
+    if (!order) throw new ApiError(404, "Order not found!");
+    if (!req.user.isAdmin && !order.user.equals(req.user.userId)) {
+      throw new ApiError(403, "Forbidden!");
+    }
+    if (order.status !== "pending" || order.paymentStatus === "paid") {
+      throw new ApiError(409, "Order is not waiting for payment!");
+    }
+
+    const provider = getPaymentProvider();
+    const pendingPayment = await Payment.findOne({
+      order: order._id,
+      provider: provider.name,
+      amount: order.totalPrice,
+      status: "pending",
+    });
+    if (pendingPayment) return res.send(pendingPayment);
+
+    const payment = new Payment({
+      order: order._id,
+      user: order.user,
+      provider: provider.name,
+      amount: order.totalPrice,
+    });
+    const user = await User.findById(order.user);
+    const { token, redirectUrl } = await provider.createPayment({
+      payment,
+      order,
+      user,
+    });
+    payment.token = token;
+    payment.redirectUrl = redirectUrl;
+    await payment.save();
+    await Order.updateOne(
+      { _id: order._id, paymentStatus: { $ne: "paid" } },
+      { paymentStatus: "pending" }
+    );
+
+    res.send(payment);
+  })
+);
+
+/**
+ * @swagger
+ * /payments/{id}:
+ *   get:
+ *     summary: Get the payment by id
+ *     description: Customers can only get the payments of their own orders.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The payment id
+ *     responses:
+ *       200:
+ *         description: Payment Data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       403:
+ *         description: Not the owner of the payment
+ *       404:
+ *         description: Payment not found
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/:id`,
+  validate(validation.getPayment),
+  asyncHandler(async (req, res) => {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) throw new ApiError(404, "Payment not found!");
+    if (!req.user.isAdmin && !payment.user.equals(req.user.userId)) {
+      throw new ApiError(403, "Forbidden!");
+    }
+
+    res.send(payment);
+  })
+);
+
+/**
+ * @swagger
+ * /payments/notifications/{provider}:
+ *   post:
+ *     summary: Webhook receiving the payment notifications of the provider
+ *     description: Public, the notification is authenticated by the provider signature. A notification already received is acknowledged without being applied again.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [fake, midtrans]
+ *         required: true
+ *         description: The configured payment provider
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Notification in the format of the provider
+ *     responses:
+ *       200:
+ *         description: Notification processed
+ *       400:
+ *         description: Invalid notification or amount
+ *       401:
+ *         description: Invalid signature
+ *       404:
+ *         description: Unknown provider or payment
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/notifications/:provider`,
+  validate(validation.handleNotification),
+  asyncHandler(async (req, res) => {
+    const provider = getPaymentProvider();
+    if (req.params.provider !== provider.name) {
+      throw new ApiError(404, "Unknown payment provider!");
+    }
+    const notification = provider.parseNotification(req);
+    if (!mongoose.isValidObjectId(notification.paymentId)) {
+      throw new ApiError(404, "Payment not found!");
+    }
+
+    let isRepeated = false;
+    let paidOrder = null;
+    await mongoose.connection.transaction(async (session) => {
+      paidOrder = null;
+      const payment = await Payment.findById(notification.paymentId).session(
+        session
+      );
+      if (!payment || payment.provider !== provider.name) {
+        throw new ApiError(404, "Payment not found!");
+      }
+      isRepeated = payment.hasEvent(notification.eventId);
+      if (isRepeated) return;
+      if (notification.amount !== payment.amount) {
+        throw new ApiError(400, "Amount does not match the payment!");
+      }
+
+      payment.events.push({
+        eventId: notification.eventId,
+        status: notification.status,
+      });
+      //A paid payment stays paid whatever arrives after
+      const isChanged =
+        payment.status !== "paid" && payment.status !== notification.status;
+      if (isChanged) {
+        payment.status = notification.status;
+        payment.reference = notification.reference || payment.reference;
+      }
+      await payment.save({ session });
+      if (isChanged) paidOrder = await updateOrderPayment(session, payment);
+    });
+    if (paidOrder) notifyOrderStatusChanged(paidOrder);
+
+    res.status(200).json({
+      success: true,
+      message: isRepeated
+        ? "Notification already processed"
+        : "Notification processed",
+    });
+  })
+);
+
+module.exports = router;
@@ -1,29 +1,58 @@
 const express = require("express");
 const router = express.Router();
-const multer = require("multer");
 const { Product } = require("../models/Product");
+const { Category } = require("../models/Category");
+const { isAdmin } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const paginate = require("../helpers/paginate");
+const { processUploads, removeImage } = require("../helpers/images");
+const { uploadImage, uploadImages } = require("../helpers/upload");
+const validation = require("../validations/products");
+const reviewRoutes = require("./reviews");
+const variantRoutes = require("./variants");
+const imageRoutes = require("./images");
+const { Review } = require("../models/Review");
 
-const FILE_TYPE_MAP = {
-  "image/png": "png",
-  "image/jpeg": "jpeg",
-  "image/jpg": "jpg",
-};
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const isValid = FILE_TYPE_MAP[file.mimetype];
-    let uploadError = new Error("invalid image type");
-    if (isValid) uploadError = null;
-    cb(uploadError, "public/uploads");
-  },
-  filename: function (req, file, cb) {
-    const fileName = file.originalname.split(" ").join("-");
-    const extension = FILE_TYPE_MAP[file.mimetype];
-    cb(null, `${fileName}-${Date.now()}.${extension}`);
-  },
-});
-
-const uploadOptions = multer({ storage: storage });
+//Comma separated category ids of GET /products
+function parseCategoryIds(query) {
+  return query.categories ? query.categories.split(",") : [];
+}
+
+//Build the mongo filter of GET /products from its query string
+async function buildProductFilter(query) {
+  const filter = {};
+  if (query.search) filter.$text = { $search: query.search };
+
+  const price = {};
+  if (query.minPrice !== undefined) price.$gte = query.minPrice;
+  if (query.maxPrice !== undefined) price.$lte = query.maxPrice;
+  if (Object.keys(price).length) filter.price = price;
+
+  if (query.inStock) filter.stock = { $gt: 0 };
+
+  //Products of a category include the ones in its subcategories
+  const categoryIds = parseCategoryIds(query);
+  if (categoryIds.length) {
+    filter.category = {
+      $in: await Category.findWithDescendantIds(categoryIds),
+    };
+  }
+  return filter;
+}
+
+//Build the mongo sort of GET /products, "-price" sorts descending
+function buildProductSort(query) {
+  if (!query.sort) {
+    return query.search
+      ? { score: { $meta: "textScore" } }
+      : { dateCreated: -1 };
+  }
+  const isDescending = query.sort.startsWith("-");
+  const field = isDescending ? query.sort.slice(1) : query.sort;
+  return { [field]: isDescending ? -1 : 1 };
+}
 
 /**
  * @swagger
@@ -48,17 +77,35 @@ const uploadOptions = multer({ storage: storage });
  *            type: string
  *            description: Detail description of the product
  *          image:
- *            type: string
- *            description: Url of the image product
+ *            $ref: '#/components/schemas/ProductImage'
  *          images:
  *            type: array
- *            description:  Urls of the image product
+ *            description: Gallery images of the product
+ *            items:
+ *              $ref: '#/components/schemas/ProductImage'
  *          price:
  *            type: number
  *            description: Price of the product
  *          stock:
  *            type: number
- *            description: Stock of the product
+ *            description: Stock of the product, the sum of the variant stocks when it has variants
+ *          options:
+ *            type: array
+ *            description: Options the variants are made of
+ *            items:
+ *              $ref: '#/components/schemas/ProductOption'
+ *          variants:
+ *            type: array
+ *            items:
+ *              $ref: '#/components/schemas/Variant'
+ *          category:
+ *            $ref: '#/components/schemas/Category'
+ *          averageRating:
+ *            type: number
+ *            description: Average rating of the product reviews rounded to one decimal, 0 without reviews
+ *          reviewCount:
+ *            type: integer
+ *            description: Number of reviews of the product
  *          dateCreated:
  *            type: date
  *            description: Auto generated date of the product created
@@ -67,13 +114,79 @@ const uploadOptions = multer({ storage: storage });
  *          name: Kemeja Lengan Panjang
  *          description: Kemeja lengan panjang dengan bahan premium.
  *          detailDescription: Kemeja lengan panjang tersedia dalam ukuran M, L, XL.
- *          image: http://localhost:3000/public/uploads/WhatsApp-Image-2020-11-09-at-08.39.36.jpeg-1619677423907.jpeg
- *          images: [http://localhost:3000/public/uploads/WhatsApp-Image-2020-11-09-at-08.39.34-(2).jpeg-1619678815858.jpeg]
+ *          image:
+ *            id: 60b3c4d5e6f7a8b9c0d1e2a0
+ *            thumbnail:
+ *              key: clothe-1621004361837-thumbnail.png
+ *              webpKey: clothe-1621004361837-thumbnail.webp
+ *              url: /public/uploads/clothe-1621004361837-thumbnail.png
+ *              webpUrl: /public/uploads/clothe-1621004361837-thumbnail.webp
+ *              width: 200
+ *              height: 200
+ *            medium:
+ *              key: clothe-1621004361837-medium.png
+ *              webpKey: clothe-1621004361837-medium.webp
+ *              url: /public/uploads/clothe-1621004361837-medium.png
+ *              webpUrl: /public/uploads/clothe-1621004361837-medium.webp
+ *              width: 600
+ *              height: 600
+ *            full:
+ *              key: clothe-1621004361837-full.png
+ *              webpKey: clothe-1621004361837-full.webp
+ *              url: /public/uploads/clothe-1621004361837-full.png
+ *              webpUrl: /public/uploads/clothe-1621004361837-full.webp
+ *              width: 1000
+ *              height: 1000
+ *          images: []
  *          price: 250000
  *          stock: 20
+ *          averageRating: 4.5
+ *          reviewCount: 12
+ *          category: { id: 60a3b1f2c1d4e52a6c8f0a11, name: Kemeja, slug: kemeja }
  *          dateCreated: 2021-04-29T06:23:43.921Z
  */
 
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      ImageRendition:
+ *        type: object
+ *        properties:
+ *          key:
+ *            type: string
+ *            description: Storage key of the jpeg, or png for png uploads
+ *          webpKey:
+ *            type: string
+ *            description: Storage key of the webp
+ *          url:
+ *            type: string
+ *            description: Url of the jpeg or png
+ *          webpUrl:
+ *            type: string
+ *            description: Url of the webp
+ *          width:
+ *            type: integer
+ *          height:
+ *            type: integer
+ *      ProductImage:
+ *        type: object
+ *        description: Uploaded image resized into every rendition, without its EXIF metadata. The width of the renditions can be used for a srcset.
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Auto generated id of the image
+ *          thumbnail:
+ *            description: At most 200px wide and high
+ *            $ref: '#/components/schemas/ImageRendition'
+ *          medium:
+ *            description: At most 600px wide and high
+ *            $ref: '#/components/schemas/ImageRendition'
+ *          full:
+ *            description: At most 1600px wide and high
+ *            $ref: '#/components/schemas/ImageRendition'
+ */
+
 /**
  * @swagger
  * tags:
@@ -85,40 +198,112 @@ const uploadOptions = multer({ storage: storage });
  * @swagger
  * /products:
  *   get:
- *     summary: Returns the list of all product
+ *     summary: Returns a page of products
  *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number, starts from 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of products per page
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Only products with price greater than or equal to this
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Only products with price less than or equal to this
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only products with stock left when true
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price, -price, dateCreated, -dateCreated, name, -name]
+ *         description: Sort field, prefix with - for descending. Defaults to the newest first, or to relevance when searching
+ *       - in: query
+ *         name: categories
+ *         schema:
+ *           type: string
+ *         description: Comma separated category ids, products of their subcategories are included
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Full text search over name, description and detail description
  *     responses:
  *       200:
- *         description: The list of all product
+ *         description: A page of products
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
- *       400:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalCount:
+ *                   type: integer
+ *                   description: Number of products matching the filter
+ *                 totalPages:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Url of the next page, null on the last page
+ *                 previous:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Url of the previous page, null on the first page
+ *       422:
+ *         description: Invalid query parameter
+ *       500:
  *         description: Internal server error
- *       404:
- *         description: Products not found
  */
-router.get(`/`, async (req, res) => {
-  const productList = await Product.find().catch((err) => {
-    console.log(err);
-    return res.status(400).json({
-      success: false,
-      message: "Internal Server Error",
-    });
-  });
+router.get(
+  `/`,
+  validate(validation.listProducts),
+  asyncHandler(async (req, res) => {
+    const { page, limit } = req.query;
+    const sort = buildProductSort(req.query);
+    const filter = await buildProductFilter(req.query);
+    const projection = req.query.search
+      ? { score: { $meta: "textScore" } }
+      : {};
+    const [productList, totalCount] = await Promise.all([
+      Product.find(filter, projection)
+        .populate("category", "name slug")
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(filter),
+    ]);
 
-  if (!productList) {
-    res.status(404).json({
-      success: false,
-      error: "Products not found",
+    res.send({
+      products: productList,
+      ...paginate(req, { page, limit, totalCount }),
     });
-  }
-
-  res.send(productList);
-});
+  })
+);
 
 /**
  * @swagger
@@ -144,23 +329,22 @@ router.get(`/`, async (req, res) => {
  *         description: Internal server error
  *       404:
  *         description: User not found
+ *       422:
+ *         description: Validation failed
  */
-router.get(`/:id`, async (req, res) => {
-  const product = await Product.findById(req.params.id).catch((err) => {
-    return res.status(400).json({
-      success: false,
-      message: "Internal Server Error",
-    });
-  });
-  if (!product) {
-    return res.status(404).json({
-      success: false,
-      message: "Product with given ID is not found",
-    });
-  }
+router.get(
+  `/:id`,
+  validate(validation.getProduct),
+  asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id).populate(
+      "category",
+      "name slug"
+    );
+    if (!product) throw new ApiError(404, "Product with given ID is not found");
 
-  res.send(product);
-});
+    res.send(product);
+  })
+);
 
 /**
  * @swagger
@@ -168,6 +352,8 @@ router.get(`/:id`, async (req, res) => {
  *   post:
  *     summary: Create a new product
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -190,7 +376,7 @@ router.get(`/:id`, async (req, res) => {
  *               image:
  *                  type: string
  *                  format: binary
- *                  description: Image of the product.
+ *                  description: Image of the product, png or jpeg of at most 5 MB. It is resized into every rendition.
  *               price:
  *                  type: number
  *                  description: Price of the produt.
@@ -199,6 +385,10 @@ router.get(`/:id`, async (req, res) => {
  *                  type: number
  *                  description: Stock of the produt.
  *                  example: 20.
+ *               category:
+ *                  type: string
+ *                  description: Id of the product category.
+ *                  example: 60a3b1f2c1d4e52a6c8f0a11
  *
  *     responses:
  *       200:
@@ -209,51 +399,62 @@ router.get(`/:id`, async (req, res) => {
  *               $ref: '#/components/schemas/Product'
  *       400:
  *          description: Image File is not presented
+ *       413:
+ *          description: Image is larger than 5 MB
+ *       415:
+ *          description: Image is not a png or jpeg
  *       500:
  *         description: Internal Server Error
+ *       422:
+ *         description: Validation failed
  */
 
-router.post(`/`, uploadOptions.single("image"), async (req, res) => {
-  const file = req.file;
-  if (!file)
-    return res.status(400).json({
-      success: false,
-      message: "Image file is not presented",
-    });
-  const fileName = req.file.filename;
-  const basePath = `${req.protocol}://${req.get("host")}/public/uploads/`;
-
-  let product = new Product({
-    name: req.body.name,
-    description: req.body.description,
-    detailDescription: req.body.detailDescription,
-    image: `${basePath}${fileName}`,
-    price: req.body.price,
-    stock: req.body.stock,
-  });
-  product = await product.save().catch((err) => {
-    return res.status(500).json({
-      success: false,
-      message: "Internal Server Error",
-    });
-  });
+router.post(
+  `/`,
+  isAdmin,
+  uploadImage("image"),
+  validate(validation.createProduct),
+  asyncHandler(async (req, res) => {
+    const file = req.file;
+    if (!file) throw new ApiError(400, "Image file is not presented");
 
-  if (!product) {
-    return res.status(404).json({
-      success: false,
-      message: "Failed to create product",
-    });
-  }
+    if (
+      req.body.category &&
+      !(await Category.exists({ _id: req.body.category }))
+    ) {
+      throw new ApiError(400, "Invalid category");
+    }
+
+    const [image] = await processUploads([file]);
+    try {
+      let product = new Product({
+        name: req.body.name,
+        description: req.body.description,
+        detailDescription: req.body.detailDescription,
+        image,
+        price: req.body.price,
+        stock: req.body.stock,
+        category: req.body.category || undefined,
+      });
+      product = await product.save();
 
-  res.send(product);
-});
+      res.send(product);
+    } catch (err) {
+      await removeImage(image);
+      throw err;
+    }
+  })
+);
 
 /**
  * @swagger
  * /products/gallery-images/{id}:
  *   put:
- *     summary: Add images gallery to product
+ *     summary: Replace the gallery images of the product
+ *     description: The previous gallery images are removed. Use /products/{id}/images to add images to the gallery instead.
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *      - in: path
  *        name: id
@@ -273,7 +474,7 @@ router.post(`/`, uploadOptions.single("image"), async (req, res) => {
  *                  items:
  *                      type: string
  *                      format: binary
- *                      description: Image url
+ *                      description: Png or jpeg of at most 5 MB, up to 10 images
  *
  *     responses:
  *       200:
@@ -283,53 +484,268 @@ router.post(`/`, uploadOptions.single("image"), async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Product'
  *       400:
- *          description: Image File is not presented
+ *          description: Image File is not presented or more than 10 images
  *       404:
  *          description: Product with given ID is not found!
+ *       413:
+ *          description: Image is larger than 5 MB
+ *       415:
+ *          description: Image is not a png or jpeg
  *       500:
  *         description: Internal Server Error
+ *       422:
+ *         description: Validation failed
  */
 
 router.put(
   "/gallery-images/:id",
-  uploadOptions.array("images", 10),
-  async (req, res) => {
-    console.log("masuk");
+  isAdmin,
+  uploadImages("images"),
+  validate(validation.uploadGalleryImages),
+  asyncHandler(async (req, res) => {
     const files = req.files;
-    let imagesPaths = [];
-    const basePath = `${req.protocol}://${req.get("host")}/public/uploads/`;
-
-    if (!files) {
-      return res.status(400).json({
-        success: false,
-        message: "Image file is not presented",
-      });
+    if (!files || !files.length) {
+      throw new ApiError(400, "Image file is not presented");
     }
 
-    files.map((file) => {
-      imagesPaths.push(`${basePath}${file.filename}`);
-    });
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      {
-        images: imagesPaths,
-      },
-      { new: true }
-    ).catch((err) => {
-      return res.status(400).json({
-        success: false,
-        message: "Internal Server Error",
-      });
-    });
+    const product = await Product.findById(req.params.id);
+    if (!product)
+      throw new ApiError(404, "Product with given ID is not found!");
 
+    const oldImages = product.images;
+    const images = await processUploads(files);
+    try {
+      product.images = images;
+      product.clearVariantImages(oldImages);
+      const updatedProduct = await product.save();
+      await Promise.all(oldImages.map(removeImage));
+
+      res.send(updatedProduct);
+    } catch (err) {
+      await Promise.all(images.map(removeImage));
+      throw err;
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}:
+ *   put:
+ *     summary: Update the product by id
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                  type: string
+ *                  description: The product name.
+ *                  example: Kemeja Lengan Panjang
+ *               description:
+ *                  type: string
+ *                  description: Description of the product.
+ *                  example: Kemeja lengan panjang dengan bahan premium.
+ *               detailDescription:
+ *                  type: string
+ *                  description: Detail description of the product.
+ *                  example: Kemeja lengan panjang tersedia dalam ukuran M, L, XL.
+ *               image:
+ *                  type: string
+ *                  format: binary
+ *                  description: New image of the product, png or jpeg of at most 5 MB. The old image is removed.
+ *               price:
+ *                  type: number
+ *                  description: Price of the produt.
+ *                  example: 250000.
+ *               stock:
+ *                  type: number
+ *                  description: Stock of the produt.
+ *                  example: 20.
+ *               category:
+ *                  type: string
+ *                  description: Id of the product category.
+ *                  example: 60a3b1f2c1d4e52a6c8f0a11
+ *
+ *     responses:
+ *       200:
+ *         description: Product successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *          description: Product with given ID is not found!
+ *       413:
+ *          description: Image is larger than 5 MB
+ *       415:
+ *          description: Image is not a png or jpeg
+ *       500:
+ *         description: Internal Server Error
+ *       422:
+ *         description: Validation failed
+ */
+router.put(
+  `/:id`,
+  isAdmin,
+  uploadImage("image"),
+  validate(validation.updateProduct),
+  asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
     if (!product) {
-      return res.status(404).json({
-        success: false,
-        message: "Product with given ID is not found!",
+      throw new ApiError(404, "Product with given ID is not found!");
+    }
+
+    if (
+      req.body.category &&
+      !(await Category.exists({ _id: req.body.category }))
+    ) {
+      throw new ApiError(400, "Invalid category");
+    }
+
+    const oldImage = product.image;
+    const [image] = req.file ? await processUploads([req.file]) : [];
+    try {
+      const fields = [
+        "name",
+        "description",
+        "detailDescription",
+        "price",
+        "stock",
+      ];
+      fields.forEach((field) => {
+        if (req.body[field] !== undefined) product[field] = req.body[field];
       });
+      if (req.body.category !== undefined) {
+        product.category = req.body.category || undefined;
+      }
+      if (image) product.image = image;
+      if (image && oldImage) product.clearVariantImages([oldImage]);
+
+      const updatedProduct = await product.save();
+      if (image) await removeImage(oldImage);
+
+      res.send(updatedProduct);
+    } catch (err) {
+      await removeImage(image);
+      throw err;
     }
-    res.send(product);
-  }
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}:
+ *   delete:
+ *     summary: Remove the product by id along with its images and reviews
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *
+ *     responses:
+ *       200:
+ *         description: Product successfully deleted!
+ *       404:
+ *         description: Product not found!
+ *       500:
+ *         description: Internal Server Error!
+ *       422:
+ *         description: Validation failed
+ */
+router.delete(
+  "/:id",
+  isAdmin,
+  validate(validation.deleteProduct),
+  asyncHandler(async (req, res) => {
+    const deletedProduct = await Product.findByIdAndRemove(req.params.id);
+    if (!deletedProduct) throw new ApiError(404, "Product not found!");
+
+    await Promise.all(
+      [deletedProduct.image, ...deletedProduct.images].map(removeImage)
+    );
+    await Review.deleteMany({ product: deletedProduct._id });
+
+    return res.status(200).json({
+      success: true,
+      message: "Product successfully deleted!",
+    });
+  })
 );
 
+/**
+ * @swagger
+ * /products/{id}/options:
+ *   put:
+ *     summary: Set the options of the product variants, e.g. size and color
+ *     description: Existing variants must still have a valid value for every option.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductOption'
+ *     responses:
+ *       200:
+ *         description: Product successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *          description: Product with given ID is not found!
+ *       422:
+ *         description: Validation failed
+ */
+router.put(
+  `/:id/options`,
+  isAdmin,
+  validate(validation.updateOptions),
+  asyncHandler(async (req, res) => {
+    const product = await Product.findById(req.params.id);
+    if (!product)
+      throw new ApiError(404, "Product with given ID is not found!");
+
+    product.options = req.body.options;
+    res.send(await product.save());
+  })
+);
+
+router.use("/:id/reviews", reviewRoutes);
+router.use("/:id/variants", variantRoutes);
+router.use("/:id/images", imageRoutes);
+
 module.exports = router;
@@ -0,0 +1,357 @@
+const express = require("express");
+//Mounted on /products/:id/reviews, mergeParams gives access to the product id
+const router = express.Router({ mergeParams: true });
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const paginate = require("../helpers/paginate");
+const validation = require("../validations/reviews");
+
+//Model
+const { Review } = require("../models/Review");
+const { Product } = require("../models/Product");
+const { Order } = require("../models/Order");
+const { OrderItem } = require("../models/OrderItem");
+
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      Review:
+ *        type: object
+ *        required:
+ *          - rating
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Auto generated id of the review
+ *          user:
+ *            type: object
+ *            description: Author of the review
+ *            properties:
+ *              id:
+ *                type: string
+ *              name:
+ *                type: string
+ *          product:
+ *            type: string
+ *            description: Id of the reviewed product
+ *          rating:
+ *            type: integer
+ *            minimum: 1
+ *            maximum: 5
+ *          text:
+ *            type: string
+ *          dateCreated:
+ *            type: date
+ *            description: Auto generated date of the review
+ *        example:
+ *          id: 60b2a1c3d4e5f6a7b8c9d0e1
+ *          user:
+ *            id: 60a4c2e1f1a2b3c4d5e6f700
+ *            name: Budi
+ *          product: 608a50efb895e53188a40bf5
+ *          rating: 5
+ *          text: Bahannya adem, ukurannya pas
+ *          dateCreated: 2021-05-29T10:12:00.000Z
+ */
+
+async function findProduct(id) {
+  const product = await Product.findById(id);
+  if (!product) throw new ApiError(404, "Product with given ID is not found");
+  return product;
+}
+
+//Only customers who received the product can review it
+async function hasDeliveredOrder(userId, productId) {
+  const orders = await Order.find({ user: userId, status: "delivered" }).select(
+    "orderItems"
+  );
+  const orderItemIds = orders.flatMap((order) => order.orderItems);
+  if (!orderItemIds.length) return false;
+  return OrderItem.exists({ _id: { $in: orderItemIds }, product: productId });
+}
+
+async function findReview(req) {
+  const review = await Review.findOne({
+    _id: req.params.reviewId,
+    product: req.params.id,
+  });
+  if (!review) throw new ApiError(404, "Review with given ID is not found!");
+  return review;
+}
+
+/**
+ * @swagger
+ * /products/{id}/reviews:
+ *   get:
+ *     summary: Returns a page of the product reviews, newest first
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 totalCount:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 next:
+ *                   type: string
+ *                   nullable: true
+ *                 previous:
+ *                   type: string
+ *                   nullable: true
+ *       404:
+ *         description: Product with given ID is not found
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/`,
+  validate(validation.listReviews),
+  asyncHandler(async (req, res) => {
+    await findProduct(req.params.id);
+
+    const { page, limit } = req.query;
+    const filter = { product: req.params.id };
+    const [reviewList, totalCount] = await Promise.all([
+      Review.find(filter)
+        .populate("user", "name")
+        .sort({ dateCreated: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Review.countDocuments(filter),
+    ]);
+
+    res.send({
+      reviews: reviewList,
+      ...paginate(req, { page, limit, totalCount }),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/reviews:
+ *   post:
+ *     summary: Review a product
+ *     description: Only users with a delivered order containing the product can review it, once.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review successfully created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       403:
+ *         description: The user has no delivered order containing the product
+ *       404:
+ *         description: Product with given ID is not found
+ *       409:
+ *         description: The user already reviewed the product
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/`,
+  validate(validation.createReview),
+  asyncHandler(async (req, res) => {
+    const product = await findProduct(req.params.id);
+    const { userId } = req.user;
+
+    if (!(await hasDeliveredOrder(userId, product._id))) {
+      throw new ApiError(
+        403,
+        "Only customers who received the product can review it!"
+      );
+    }
+    if (await Review.exists({ product: product._id, user: userId })) {
+      throw new ApiError(409, "You already reviewed this product!");
+    }
+
+    let review = new Review({
+      user: userId,
+      product: product._id,
+      rating: req.body.rating,
+      text: req.body.text,
+    });
+    review = await review.save();
+    await Review.updateProductRating(product._id);
+
+    res.send(await review.populate("user", "name").execPopulate());
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/reviews/{reviewId}:
+ *   put:
+ *     summary: Update a review, only by its author
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *       - in: path
+ *         name: reviewId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Review id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review successfully updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review with given ID is not found!
+ *       422:
+ *         description: Validation failed
+ */
+router.put(
+  `/:reviewId`,
+  validate(validation.updateReview),
+  asyncHandler(async (req, res) => {
+    const review = await findReview(req);
+    if (!review.user.equals(req.user.userId)) {
+      throw new ApiError(403, "Forbidden!");
+    }
+
+    review.set(req.body);
+    await review.save();
+    await Review.updateProductRating(review.product);
+
+    res.send(await review.populate("user", "name").execPopulate());
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/reviews/{reviewId}:
+ *   delete:
+ *     summary: Remove a review, by its author or an admin
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *       - in: path
+ *         name: reviewId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Review id
+ *     responses:
+ *       200:
+ *         description: Review successfully deleted!
+ *       403:
+ *         description: Not the author of the review
+ *       404:
+ *         description: Review with given ID is not found!
+ *       422:
+ *         description: Validation failed
+ */
+router.delete(
+  `/:reviewId`,
+  validate(validation.deleteReview),
+  asyncHandler(async (req, res) => {
+    const review = await findReview(req);
+    if (!req.user.isAdmin && !review.user.equals(req.user.userId)) {
+      throw new ApiError(403, "Forbidden!");
+    }
+
+    await review.remove();
+    await Review.updateProductRating(review.product);
+
+    return res.status(200).json({
+      success: true,
+      message: "Review successfully deleted!",
+    });
+  })
+);
+
+module.exports = router;
@@ -1,6 +1,24 @@
 const express = require("express");
 const router = express.Router();
+const crypto = require("crypto");
 const bycrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { isAdmin, isAdminOrSelf, isSelf } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const validation = require("../validations/users");
+const addressRoutes = require("./addresses");
+const {
+  notifyRegistration,
+  notifyPasswordReset,
+} = require("../helpers/notifications");
+
+const PASSWORD_RESET_MINUTES = 60;
+
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
 
 /**
  * @swagger
@@ -11,7 +29,6 @@ const bycrypt = require("bcryptjs");
  *        required:
  *          - name
  *          - email
- *          - password
  *        properties:
  *          id:
  *            type: string
@@ -19,18 +36,27 @@ const bycrypt = require("bcryptjs");
  *          name:
  *            type: string
  *            description: The name of the user
- *          password:
- *            type: string
- *            description: The password of the user
  *          email:
  *            type: string
  *            description: The email of the user
+ *          isAdmin:
+ *            type: boolean
+ *            description: true if user is admin, false if not
+ *          phone:
+ *            type: string
+ *            description: The phone number of the user
+ *          addresses:
+ *            type: array
+ *            items:
+ *              $ref: '#/components/schemas/Address'
+ *            description: Saved shipping addresses of the user
  *        example:
  *          id: 60896dfd4425c657ccfea7a6
  *          name: Muhammad Ragil
  *          email: mragil@gil.com
- *          password: asda939aadak29asdjg9
  *          isAdmin: true
+ *          phone: "+6281234567890"
+ *          addresses: [{ id: 60a4c2e1f1a2b3c4d5e6f701, street: Jl. Merdeka No. 1, city: Bandung, zip: "40111", country: Indonesia, isDefault: true }]
  *
  */
 
@@ -50,6 +76,8 @@ const { User } = require("../models/User");
  *   get:
  *     summary: Returns the list of all users
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: The list of all users
@@ -64,23 +92,42 @@ const { User } = require("../models/User");
  *       404:
  *         description: Users not found
  */
-router.get(`/`, async (req, res) => {
-  const userList = await User.find().catch((err) => {
-    return res.status(400).json({
-      success: false,
-      message: "Internal Server Error",
-    });
-  });
+router.get(
+  `/`,
+  isAdmin,
+  asyncHandler(async (req, res) => {
+    const userList = await User.find();
+    res.send(userList);
+  })
+);
 
-  if (!userList) {
-    res.status(404).json({
-      success: false,
-      error: "User not found",
-    });
-  }
+/**
+ * @swagger
+ * /users/me:
+ *   get:
+ *     summary: Get the profile of the logged in user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User Data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  "/me",
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.userId);
+    if (!user) throw new ApiError(404, "User not found");
 
-  res.send(userList);
-});
+    res.send(user);
+  })
+);
 
 /**
  * @swagger
@@ -88,6 +135,8 @@ router.get(`/`, async (req, res) => {
  *   get:
  *     summary: Get the user by id
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -106,25 +155,21 @@ router.get(`/`, async (req, res) => {
  *         description: Internal server error
  *       404:
  *         description: User not found
+ *       422:
+ *         description: Validation failed
  */
 
-router.get("/:id", async (req, res) => {
-  const user = await User.findById(req.params.id).catch((err) => {
-    return res.status(400).json({
-      success: false,
-      message: "Internal Server Error",
-    });
-  });
+router.get(
+  "/:id",
+  isAdminOrSelf,
+  validate(validation.getUser),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) throw new ApiError(404, "User with given ID is not found");
 
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      message: "User with given ID is not found",
-    });
-  }
-
-  res.send(user);
-});
+    res.send(user);
+  })
+);
 
 /**
  * @swagger
@@ -151,10 +196,10 @@ router.get("/:id", async (req, res) => {
  *                  type: string
  *                  description: The user's password.
  *                  example: thisispassword
- *               isAdmin:
- *                  type: boolean
- *                  description: true if user is admin, false if not.
- *                  example: true
+ *               phone:
+ *                  type: string
+ *                  description: The user's phone number.
+ *                  example: "+6281234567890"
  *
  *     responses:
  *       200:
@@ -165,36 +210,104 @@ router.get("/:id", async (req, res) => {
  *               $ref: '#/components/schemas/User'
  *       400:
  *          description: Failed To Create User
+ *       409:
+ *          description: Email is already registered
  *       500:
  *         description: Internal Server Error
+ *       422:
+ *         description: Validation failed
  */
-router.post(`/`, async (req, res) => {
-  try {
+router.post(
+  `/`,
+  validate(validation.createUser),
+  asyncHandler(async (req, res) => {
+    if (await User.exists({ email: req.body.email })) {
+      throw new ApiError(409, "Email is already registered!", [
+        { location: "body", field: "email", message: "email is already used" },
+      ]);
+    }
+
     const hashedPassword = await bycrypt.hash(req.body.password, 11);
 
     let user = new User({
       name: req.body.name,
       email: req.body.email,
       password: hashedPassword,
-      isAdmin: req.body.isAdmin,
+      phone: req.body.phone,
     });
-
     user = await user.save();
+    notifyRegistration(user);
 
-    if (!user) {
-      return res.status(400).json({
-        success: false,
-        message: "Failed to create user!",
-      });
-    }
     res.send(user);
-  } catch (err) {
-    return res.status(500).json({
-      success: false,
-      message: "Internal Server Error!",
-    });
-  }
-});
+  })
+);
+
+/**
+ * @swagger
+ * /users/login:
+ *   post:
+ *     summary: Login and get an access token
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                  type: string
+ *                  description: The user's email.
+ *                  example: mragil@gil.com
+ *               password:
+ *                  type: string
+ *                  description: The user's password.
+ *                  example: thisispassword
+ *
+ *     responses:
+ *       200:
+ *         description: Login success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   type: string
+ *                   description: The user's email.
+ *                 token:
+ *                   type: string
+ *                   description: Bearer token to be sent in the Authorization header.
+ *       400:
+ *          description: Wrong email or password
+ *       500:
+ *         description: Internal Server Error
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/login`,
+  validate(validation.login),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email }).select(
+      "+password"
+    );
+    const isMatch =
+      user && (await bycrypt.compare(req.body.password, user.password));
+    if (!isMatch) throw new ApiError(400, "Wrong email or password!");
+
+    const token = jwt.sign(
+      {
+        userId: user.id,
+        isAdmin: user.isAdmin,
+      },
+      process.env.SECRET,
+      { expiresIn: "1d" }
+    );
+
+    res.status(200).send({ user: user.email, token });
+  })
+);
 
 /**
  * @swagger
@@ -202,6 +315,8 @@ router.post(`/`, async (req, res) => {
  *  put:
  *    summary: Update the user by the id
  *    tags: [Users]
+ *    security:
+ *      - bearerAuth: []
  *    parameters:
  *      - in: path
  *        name: id
@@ -224,13 +339,13 @@ router.post(`/`, async (req, res) => {
  *                  type: string
  *                  description: The user's email.
  *                  example: mragil@gil.com
- *               password:
+ *               phone:
  *                  type: string
- *                  description: The user's password.
- *                  example: thisisnewpassword
+ *                  description: The user's phone number.
+ *                  example: "+6281234567890"
  *               isAdmin:
  *                  type: boolean
- *                  description: true if user is admin, false if not.
+ *                  description: true if user is admin, false if not. Only applied when requested by an admin.
  *                  example: false
  *    responses:
  *      200:
@@ -241,37 +356,198 @@ router.post(`/`, async (req, res) => {
  *              $ref: '#/components/schemas/User'
  *      404:
  *        description: User with given ID is not found!
+ *      409:
+ *        description: Email is already registered
  *      500:
  *        description: Internal Server Error!
+ *      422:
+ *        description: Validation failed
  */
-router.put(`/:id`, async (req, res) => {
-  try {
-    const hashedPassword = await bycrypt.hash(req.body.password, 11);
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      {
-        name: req.body.name,
-        email: req.body.email,
-        password: hashedPassword,
-        isAdmin: req.body.isAdmin,
-      },
-      { new: true }
-    );
+router.put(
+  `/:id`,
+  isAdminOrSelf,
+  validate(validation.updateUser),
+  asyncHandler(async (req, res) => {
+    const update = {};
+    if (req.body.name !== undefined) update.name = req.body.name;
+    if (req.body.email !== undefined) update.email = req.body.email;
+    if (req.body.phone !== undefined) update.phone = req.body.phone;
+    //Only admin can grant or revoke admin access
+    if (req.user.isAdmin && req.body.isAdmin !== undefined) {
+      update.isAdmin = req.body.isAdmin;
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+      runValidators: true,
+    });
+    if (!user) throw new ApiError(404, "User with given ID is not found!");
+
+    res.send(user);
+  })
+);
+
+/**
+ * @swagger
+ * /users/password-reset:
+ *   post:
+ *     summary: Email a password reset link to the user
+ *     description: The response is the same whether the email is registered or not. The link is valid for 60 minutes and goes to STOREFRONT_URL/reset-password.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                  type: string
+ *                  example: mragil@gil.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the email is registered
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/password-reset`,
+  validate(validation.requestPasswordReset),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const token = crypto.randomBytes(32).toString("hex");
+      user.passwordResetToken = hashResetToken(token);
+      user.passwordResetExpires =
+        Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000;
+      await user.save();
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User with given ID is not found!",
+      const storefrontUrl =
+        process.env.STOREFRONT_URL || "http://localhost:3000";
+      notifyPasswordReset(user, {
+        resetUrl: `${storefrontUrl}/reset-password?token=${token}`,
+        expiresInMinutes: PASSWORD_RESET_MINUTES,
       });
     }
-    res.send(user);
-  } catch (err) {
-    return res.status(500).json({
-      success: false,
-      message: "Internal Server Error!",
+
+    return res.status(200).json({
+      success: true,
+      message: "If the email is registered, a reset link was sent to it!",
     });
-  }
-});
+  })
+);
+
+/**
+ * @swagger
+ * /users/password-reset/confirm:
+ *   post:
+ *     summary: Choose a new password with the token of a reset link
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                  type: string
+ *                  description: Token of the reset link
+ *               newPassword:
+ *                  type: string
+ *                  example: thisisnewpassword
+ *     responses:
+ *       200:
+ *         description: Password successfully changed!
+ *       400:
+ *         description: Invalid or expired token
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/password-reset/confirm`,
+  validate(validation.resetPassword),
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({
+      passwordResetToken: hashResetToken(req.body.token),
+      passwordResetExpires: { $gt: Date.now() },
+    });
+    if (!user) throw new ApiError(400, "Invalid or expired token!");
+
+    user.password = await bycrypt.hash(req.body.newPassword, 11);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Password successfully changed!",
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /users/{id}/password:
+ *  put:
+ *    summary: Change the password of the logged in user
+ *    tags: [Users]
+ *    security:
+ *      - bearerAuth: []
+ *    parameters:
+ *      - in: path
+ *        name: id
+ *        schema:
+ *          type: string
+ *        required: true
+ *        description: User id, must be the logged in user
+ *    requestBody:
+ *      required: true
+ *      content:
+ *        application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               oldPassword:
+ *                  type: string
+ *                  description: The current password.
+ *                  example: thisispassword
+ *               newPassword:
+ *                  type: string
+ *                  description: The new password, at least 6 characters.
+ *                  example: thisisnewpassword
+ *    responses:
+ *      200:
+ *        description: Password successfully changed!
+ *      400:
+ *        description: Old password is wrong
+ *      403:
+ *        description: Not the logged in user
+ *      404:
+ *        description: User with given ID is not found!
+ *      422:
+ *        description: Validation failed
+ */
+router.put(
+  `/:id/password`,
+  isSelf,
+  validate(validation.changePassword),
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.id).select("+password");
+    if (!user) throw new ApiError(404, "User with given ID is not found!");
+
+    const isMatch = await bycrypt.compare(req.body.oldPassword, user.password);
+    if (!isMatch) throw new ApiError(400, "Old password is wrong!");
+
+    user.password = await bycrypt.hash(req.body.newPassword, 11);
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Password successfully changed!",
+    });
+  })
+);
 
 /**
  * @swagger
@@ -279,6 +555,8 @@ router.put(`/:id`, async (req, res) => {
  *   delete:
  *     summary: Remove the user by id
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -292,28 +570,24 @@ router.put(`/:id`, async (req, res) => {
  *         description: User successfully deleted!
  *       404:
  *         description: User not found!
+ *       422:
+ *         description: Validation failed
  */
-router.delete("/:id", async (req, res) => {
-  const deletedUser = await User.findByIdAndRemove(req.params.id).catch(
-    (err) => {
-      return res.status(400).json({
-        success: false,
-        error: err,
-      });
-    }
-  );
+router.delete(
+  "/:id",
+  isAdmin,
+  validate(validation.deleteUser),
+  asyncHandler(async (req, res) => {
+    const deletedUser = await User.findByIdAndRemove(req.params.id);
+    if (!deletedUser) throw new ApiError(404, "User not found!");
 
-  if (!deletedUser) {
-    return res.status(404).json({
-      success: false,
-      message: "User not found!",
+    return res.status(200).json({
+      success: true,
+      message: "User successfully deleted!",
     });
-  }
+  })
+);
 
-  return res.status(200).json({
-    success: true,
-    message: "User successfully deleted!",
-  });
-});
+router.use("/:id/addresses", addressRoutes);
 
 module.exports = router;
@@ -0,0 +1,354 @@
+const express = require("express");
+//Mounted on /products/:id/variants, mergeParams gives access to the product id
+const router = express.Router({ mergeParams: true });
+const { isAdmin } = require("../helpers/jwt");
+const { validate } = require("../helpers/validate");
+const asyncHandler = require("../helpers/async-handler");
+const ApiError = require("../helpers/api-error");
+const validation = require("../validations/variants");
+
+//Model
+const { Product } = require("../models/Product");
+
+/**
+ * @swagger
+ * components:
+ *    schemas:
+ *      ProductOption:
+ *        type: object
+ *        required:
+ *          - name
+ *          - values
+ *        properties:
+ *          name:
+ *            type: string
+ *          values:
+ *            type: array
+ *            items:
+ *              type: string
+ *        example:
+ *          name: Size
+ *          values: [S, M, L, XL]
+ *      Variant:
+ *        type: object
+ *        required:
+ *          - sku
+ *          - options
+ *          - stock
+ *        properties:
+ *          id:
+ *            type: string
+ *            description: Auto generated id of the variant
+ *          sku:
+ *            type: string
+ *            description: Stock keeping unit, unique over all products
+ *          options:
+ *            type: object
+ *            additionalProperties:
+ *              type: string
+ *            description: Value of every option of the product
+ *          price:
+ *            type: number
+ *            nullable: true
+ *            description: Price of the variant, null to use the product price
+ *          stock:
+ *            type: integer
+ *            description: Stock of the variant
+ *          image:
+ *            type: string
+ *            nullable: true
+ *            description: Id of the product image or gallery image showing the variant
+ *        example:
+ *          id: 60b3c4d5e6f7a8b9c0d1e2f3
+ *          sku: KLP-M-NAVY
+ *          options: { Size: M, Color: Navy }
+ *          price: null
+ *          stock: 8
+ *          image: 60b3c4d5e6f7a8b9c0d1e2a0
+ */
+
+async function findProduct(id) {
+  const product = await Product.findById(id);
+  if (!product) throw new ApiError(404, "Product with given ID is not found!");
+  return product;
+}
+
+function findVariant(product, variantId) {
+  const variant = product.variants.id(variantId);
+  if (!variant) throw new ApiError(404, "Variant with given ID is not found!");
+  return variant;
+}
+
+//The image of a variant must be one of the product images
+function checkVariantImage(product, imageId) {
+  if (!imageId || product.findImage(imageId)) return;
+  throw new ApiError(400, "Invalid variant image", [
+    {
+      location: "body",
+      field: "image",
+      message: "image must be the id of one of the product images",
+    },
+  ]);
+}
+
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   get:
+ *     summary: Returns the variants of the product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *     responses:
+ *       200:
+ *         description: The list of variants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Variant'
+ *       404:
+ *         description: Product with given ID is not found!
+ *       422:
+ *         description: Validation failed
+ */
+router.get(
+  `/`,
+  validate(validation.listVariants),
+  asyncHandler(async (req, res) => {
+    const product = await findProduct(req.params.id);
+    res.send(product.variants);
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   post:
+ *     summary: Add a variant to the product
+ *     description: The variant needs a value for every option of the product. Once a product has variants its stock is the sum of the variant stocks.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Variant'
+ *     responses:
+ *       200:
+ *         description: The list of variants after adding
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Variant'
+ *       400:
+ *         description: Invalid variant image
+ *       404:
+ *         description: Product with given ID is not found!
+ *       409:
+ *         description: Sku is already used
+ *       422:
+ *         description: Validation failed
+ */
+router.post(
+  `/`,
+  isAdmin,
+  validate(validation.createVariant),
+  asyncHandler(async (req, res) => {
+    const product = await findProduct(req.params.id);
+    checkVariantImage(product, req.body.image);
+
+    product.variants.push(req.body);
+    await product.save();
+
+    res.send(product.variants);
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a variant of the product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Variant id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Variant'
+ *     responses:
+ *       200:
+ *         description: The list of variants after updating
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Variant'
+ *       400:
+ *         description: Invalid variant image
+ *       404:
+ *         description: Product or variant with given ID is not found!
+ *       409:
+ *         description: Sku is already used, or the variant was changed by another request
+ *       422:
+ *         description: Validation failed
+ */
+router.put(
+  `/:variantId`,
+  isAdmin,
+  validate(validation.updateVariant),
+  asyncHandler(async (req, res) => {
+    const product = await findProduct(req.params.id);
+    const variant = findVariant(product, req.params.variantId);
+    checkVariantImage(product, req.body.image);
+
+    const previousStock = variant.stock;
+    const previousOptionNames = [...variant.options.keys()];
+    variant.set(req.body);
+    //Checks the sku and options against the other variants
+    await product.validate();
+
+    //Updated in place with stock moved by the change of the variant stock, so
+    //stock reserved meanwhile for the other variants isn't overwritten
+    const $set = {};
+    const $unset = {};
+    Object.keys(req.body).forEach((key) => {
+      if (key !== "options") $set[`variants.$.${key}`] = req.body[key];
+    });
+    //Options are set by value, mongoose can't cast a whole map on variants.$
+    if (req.body.options) {
+      variant.options.forEach((value, name) => {
+        $set[`variants.$.options.${name}`] = value;
+      });
+      previousOptionNames
+        .filter((name) => !variant.options.has(name))
+        .forEach((name) => ($unset[`variants.$.options.${name}`] = ""));
+    }
+    const updatedProduct = await Product.findOneAndUpdate(
+      {
+        _id: product._id,
+        variants: { $elemMatch: { _id: variant._id, stock: previousStock } },
+      },
+      {
+        //MongoDB before 5.0 rejects empty operators
+        ...(Object.keys($set).length ? { $set } : {}),
+        ...(Object.keys($unset).length ? { $unset } : {}),
+        $inc: { stock: variant.stock - previousStock },
+      },
+      { new: true }
+    );
+    if (!updatedProduct) {
+      throw new ApiError(409, "Variant was changed by another request!");
+    }
+
+    res.send(updatedProduct.variants);
+  })
+);
+
+/**
+ * @swagger
+ * /products/{id}/variants/{variantId}:
+ *   delete:
+ *     summary: Remove a variant of the product
+ *     description: Orders of the variant keep its sku and name. Removing the last variant sets the stock of the product to 0.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product id
+ *       - in: path
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Variant id
+ *     responses:
+ *       200:
+ *         description: The list of variants after removing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Variant'
+ *       404:
+ *         description: Product or variant with given ID is not found!
+ *       409:
+ *         description: The variant was changed by another request
+ *       422:
+ *         description: Validation failed
+ */
+router.delete(
+  `/:variantId`,
+  isAdmin,
+  validate(validation.deleteVariant),
+  asyncHandler(async (req, res) => {
+    const product = await findProduct(req.params.id);
+    const variant = findVariant(product, req.params.variantId);
+
+    //Without variants the product has its own stock again, none until it is
+    //set. Otherwise the stock of the variant is taken out of the product stock.
+    const isLastVariant = product.variants.length === 1;
+    const filter = {
+      _id: product._id,
+      variants: { $elemMatch: { _id: variant._id, stock: variant.stock } },
+    };
+    if (isLastVariant) filter["variants.1"] = { $exists: false };
+    const updatedProduct = await Product.findOneAndUpdate(
+      filter,
+      {
+        $pull: { variants: { _id: variant._id } },
+        ...(isLastVariant
+          ? { $set: { stock: 0 } }
+          : { $inc: { stock: -variant.stock } }),
+      },
+      { new: true }
+    );
+    if (!updatedProduct) {
+      throw new ApiError(409, "Variant was changed by another request!");
+    }
+
+    res.send(updatedProduct.variants);
+  })
+);
+
+module.exports = router;
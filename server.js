@@ -6,21 +6,47 @@ const cors = require("cors");
 const morgan = require("morgan");
 const swaggerUI = require("swagger-ui-express");
 const swaggerJsDoc = require("swagger-jsdoc");
+const { authJwt } = require("./helpers/jwt");
+const errorHandler = require("./helpers/error-handler");
+const requestId = require("./helpers/request-id");
+const ApiError = require("./helpers/api-error");
+const { getTransport: getMailTransport } = require("./helpers/mail");
+const { getStorage } = require("./helpers/storage");
+const {
+  scheduleOrphanOrderItemsCleanup,
+} = require("./jobs/cleanup-order-items");
 //Routes Import
 const userRoutes = require("./routes/users");
 const productRoutes = require("./routes/products");
 const ordersRoutes = require("./routes/orders");
+const categoriesRoutes = require("./routes/categories");
+const analyticsRoutes = require("./routes/analytics");
+const cartRoutes = require("./routes/cart");
+const couponsRoutes = require("./routes/coupons");
+const paymentsRoutes = require("./routes/payments");
 
 //.env
 require("dotenv/config");
 const PORT = process.env.PORT || 4001;
 const api = process.env.API_URL;
+//Fail on boot rather than on first use when the mail or storage isn't configured
+getMailTransport();
+getStorage();
+app.use(requestId);
 //Enabling CORS
-app.use(cors());
-app.options("*", cors());
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
+app.options("*", cors({ exposedHeaders: ["X-Request-Id"] }));
 //Middleware
-app.use(bodyParser.json());
+//The raw body is kept to check the signature of payment notifications
+app.use(
+  bodyParser.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(morgan("tiny"));
+app.use(authJwt());
 
 //Swagger Doc
 const options = {
@@ -31,6 +57,42 @@ const options = {
       version: "1.0.0",
       description: "El-Galeri API built with Express",
     },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          description:
+            "Body of every error response, errors is only present when specific fields are invalid",
+          properties: {
+            success: { type: "boolean", example: false },
+            message: { type: "string", example: "Validation failed!" },
+            errors: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  location: { type: "string", example: "body" },
+                  field: { type: "string", example: "email" },
+                  message: { type: "string", example: "email is required" },
+                },
+              },
+            },
+            requestId: {
+              type: "string",
+              description: "Also sent in the X-Request-Id header",
+              example: "3f0c2b8e9d6a4f1e8b7c5a4d3e2f1a0b",
+            },
+          },
+        },
+      },
+    },
     servers: [
       {
         url: "https://intense-retreat-74340.herokuapp.com/",
@@ -47,10 +109,19 @@ app.use(`/api-docs`, swaggerUI.serve, swaggerUI.setup(specs));
 app.use(`/users`, userRoutes);
 app.use(`/products`, productRoutes);
 app.use(`/orders`, ordersRoutes);
+app.use(`/categories`, categoriesRoutes);
+app.use(`/analytics`, analyticsRoutes);
+app.use(`/cart`, cartRoutes);
+app.use(`/coupons`, couponsRoutes);
+app.use(`/payments`, paymentsRoutes);
 
-//static files
+//static files, the uploads of the local storage driver
 app.use("/public/uploads", express.static(__dirname + "/public/uploads"));
 
+//Errors
+app.use((req, res, next) => next(new ApiError(404, "Route not found!")));
+app.use(errorHandler);
+
 //Database
 mongoose
   .connect(process.env.DB_URL, {
@@ -61,6 +132,9 @@ mongoose
   })
   .then(() => {
     console.log("DB Connected....");
+    scheduleOrphanOrderItemsCleanup(
+      Number(process.env.ORDER_ITEM_CLEANUP_HOURS) || 24
+    );
   })
   .catch((err) => {
     console.log(err);
@@ -0,0 +1,50 @@
+const Joi = require("joi");
+const { objectId } = require("../helpers/validate");
+
+const addressFields = {
+  street: Joi.string().trim(),
+  city: Joi.string().trim(),
+  zip: Joi.string().trim(),
+  country: Joi.string().trim(),
+  isDefault: Joi.boolean(),
+};
+
+const userParams = Joi.object({
+  id: objectId.required(),
+});
+
+const addressParams = Joi.object({
+  id: objectId.required(),
+  addressId: objectId.required(),
+});
+
+const listAddresses = {
+  params: userParams,
+};
+
+const createAddress = {
+  params: userParams,
+  body: Joi.object({
+    ...addressFields,
+    street: addressFields.street.required(),
+    city: addressFields.city.required(),
+    zip: addressFields.zip.required(),
+    country: addressFields.country.required(),
+  }),
+};
+
+const updateAddress = {
+  params: addressParams,
+  body: Joi.object(addressFields).min(1),
+};
+
+const deleteAddress = {
+  params: addressParams,
+};
+
+module.exports = {
+  listAddresses,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+};
@@ -0,0 +1,107 @@
+const Joi = require("joi");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const defaultTimezone = () => process.env.TZ || "UTC";
+
+//Timezone names known to Intl, which are the ones MongoDB knows as well
+function isKnownTimezone(timeZone) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function knownTimezone(value, helpers) {
+  if (isKnownTimezone(value)) return value;
+  return helpers.message("{{#label}} must be a valid timezone");
+}
+
+//Milliseconds the timezone is ahead of UTC at the date
+function timezoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => (parts[type] = Number(value)));
+  const localTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return localTime - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+//Midnight of a YYYY-MM-DD day in the timezone
+function startOfDay(day, timeZone) {
+  const utcMidnight = Date.parse(`${day}T00:00:00Z`);
+  const guess = utcMidnight - timezoneOffset(new Date(utcMidnight), timeZone);
+  //The offset at midnight differs from the guess around DST changes
+  return new Date(utcMidnight - timezoneOffset(new Date(guess), timeZone));
+}
+
+//A date without a time, such as 2021-05-31, is that whole day in the timezone
+//of the request: from is its start and to its end
+function dayBound(isEnd) {
+  return (value, helpers) => {
+    if (!DATE_ONLY.test(helpers.original)) return value;
+    const timeZone = helpers.state.ancestors[0].timezone || defaultTimezone();
+    //An unknown timezone is reported by its own field
+    if (!isKnownTimezone(timeZone)) return value;
+    if (!isEnd) return startOfDay(helpers.original, timeZone);
+
+    const nextDay = new Date(value.getTime() + DAY_MS).toISOString();
+    return new Date(startOfDay(nextDay.slice(0, 10), timeZone).getTime() - 1);
+  };
+}
+
+const dateRange = {
+  from: Joi.date().iso().custom(dayBound(false)),
+  to: Joi.date()
+    .iso()
+    .custom(dayBound(true))
+    .when("from", { is: Joi.exist(), then: Joi.date().min(Joi.ref("from")) }),
+};
+
+const summary = {
+  query: Joi.object(dateRange),
+};
+
+const revenue = {
+  query: Joi.object({
+    ...dateRange,
+    interval: Joi.string().valid("day", "week", "month").default("day"),
+    //Olson timezone name such as Asia/Jakarta
+    timezone: Joi.string().custom(knownTimezone).default(defaultTimezone),
+  }),
+};
+
+const topProducts = {
+  query: Joi.object({
+    ...dateRange,
+    limit: Joi.number().integer().min(1).max(100).default(10),
+  }),
+};
+
+const lowStock = {
+  query: Joi.object({
+    threshold: Joi.number().integer().min(0).default(5),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+};
+
+module.exports = { summary, revenue, topProducts, lowStock };
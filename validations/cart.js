@@ -0,0 +1,39 @@
+const Joi = require("joi");
+const { objectId } = require("../helpers/validate");
+const { shippingFields } = require("./orders");
+
+const productParams = Joi.object({
+  productId: objectId.required(),
+});
+
+//Identifies the variant of a product with variants
+const variantQuery = Joi.object({
+  variant: objectId,
+});
+
+const addItem = {
+  body: Joi.object({
+    product: objectId.required(),
+    variant: objectId,
+    quantity: Joi.number().integer().min(1).default(1),
+  }),
+};
+
+const updateItem = {
+  params: productParams,
+  query: variantQuery,
+  body: Joi.object({
+    quantity: Joi.number().integer().min(1).required(),
+  }),
+};
+
+const removeItem = {
+  params: productParams,
+  query: variantQuery,
+};
+
+const checkout = {
+  body: Joi.object(shippingFields).oxor("shippingAddress", "addressId"),
+};
+
+module.exports = { addItem, updateItem, removeItem, checkout };
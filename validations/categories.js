@@ -0,0 +1,44 @@
+const Joi = require("joi");
+const { objectId, idParams } = require("../helpers/validate");
+
+const categoryFields = {
+  name: Joi.string().trim(),
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .messages({
+      "string.pattern.base":
+        "{{#label}} must only contain letters, numbers and dashes",
+    }),
+  icon: Joi.string().allow(""),
+  color: Joi.string().allow(""),
+  parent: objectId.allow("", null),
+};
+
+const getCategory = {
+  params: idParams,
+};
+
+const createCategory = {
+  body: Joi.object({
+    ...categoryFields,
+    name: categoryFields.name.required(),
+  }),
+};
+
+const updateCategory = {
+  params: idParams,
+  body: Joi.object(categoryFields).min(1),
+};
+
+const deleteCategory = {
+  params: idParams,
+};
+
+module.exports = {
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,47 @@
+const Joi = require("joi");
+const { idParams } = require("../helpers/validate");
+
+const couponFields = {
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_-]+$/)
+    .messages({
+      "string.pattern.base":
+        "{{#label}} must only contain letters, numbers, dashes and underscores",
+    }),
+  type: Joi.string().valid("percentage", "fixed"),
+  value: Joi.number()
+    .min(0)
+    .when("type", { is: "percentage", then: Joi.number().max(100) }),
+  minOrderValue: Joi.number().min(0),
+  maxDiscount: Joi.number().min(0).allow(null),
+  expiresAt: Joi.date().iso().allow(null),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  usageLimitPerUser: Joi.number().integer().min(1),
+  isActive: Joi.boolean(),
+};
+
+const getCoupon = {
+  params: idParams,
+};
+
+const createCoupon = {
+  body: Joi.object({
+    ...couponFields,
+    code: couponFields.code.required(),
+    type: couponFields.type.required(),
+    value: couponFields.value.required(),
+  }),
+};
+
+const updateCoupon = {
+  params: idParams,
+  body: Joi.object(couponFields).min(1),
+};
+
+const deleteCoupon = {
+  params: idParams,
+};
+
+module.exports = { getCoupon, createCoupon, updateCoupon, deleteCoupon };
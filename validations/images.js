@@ -0,0 +1,46 @@
+const Joi = require("joi");
+const { objectId } = require("../helpers/validate");
+
+const productParams = Joi.object({
+  id: objectId.required(),
+});
+
+const imageParams = Joi.object({
+  id: objectId.required(),
+  imageId: objectId.required(),
+});
+
+const addImages = {
+  params: productParams,
+};
+
+const removeImage = {
+  params: Joi.object({
+    id: objectId.required(),
+    //Id of the gallery image, or its position starting from 0
+    image: Joi.alternatives()
+      .try(objectId, Joi.number().integer().min(0))
+      .required()
+      .messages({
+        "alternatives.match": "{{#label}} must be an image id or index",
+      }),
+  }),
+};
+
+const reorderImages = {
+  params: productParams,
+  body: Joi.object({
+    imageIds: Joi.array().items(objectId).unique().required(),
+  }),
+};
+
+const promoteImage = {
+  params: imageParams,
+};
+
+module.exports = {
+  addImages,
+  removeImage,
+  reorderImages,
+  promoteImage,
+};
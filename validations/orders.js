@@ -0,0 +1,81 @@
+const Joi = require("joi");
+const { objectId, idParams } = require("../helpers/validate");
+const { ORDER_STATUS_TRANSITIONS } = require("../models/Order");
+
+const getOrder = {
+  params: idParams,
+};
+
+const listOrders = {
+  query: Joi.object({
+    needsRefund: Joi.boolean(),
+  }),
+};
+
+const listUserOrders = {
+  params: Joi.object({
+    userId: objectId.required(),
+  }),
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    status: Joi.string().valid(...Object.keys(ORDER_STATUS_TRANSITIONS)),
+  }),
+};
+
+//Shipping details of a new order, shared with the cart checkout
+const shippingFields = {
+  shippingAddress: Joi.object({
+    street: Joi.string().trim().required(),
+    city: Joi.string().trim().required(),
+    zip: Joi.string().trim().required(),
+    country: Joi.string().trim().required(),
+  }),
+  //Id of one of the user's saved addresses
+  addressId: objectId,
+  phone: Joi.string().trim().allow(""),
+  notes: Joi.string().trim().allow("").max(500),
+  couponCode: Joi.string().trim(),
+};
+
+const createOrder = {
+  body: Joi.object({
+    orderItems: Joi.array()
+      .items(
+        Joi.object({
+          quantity: Joi.number().integer().min(1).required(),
+          product: objectId.required(),
+          //Required for products with variants
+          variant: objectId,
+        })
+      )
+      .min(1)
+      .required(),
+    user: objectId,
+    ...shippingFields,
+  }).oxor("shippingAddress", "addressId"),
+};
+
+const updateOrderStatus = {
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string()
+      .valid(...Object.keys(ORDER_STATUS_TRANSITIONS))
+      .required(),
+    note: Joi.string().allow("").max(500),
+  }),
+};
+
+const deleteOrder = {
+  params: idParams,
+};
+
+module.exports = {
+  shippingFields,
+  getOrder,
+  listOrders,
+  listUserOrders,
+  createOrder,
+  updateOrderStatus,
+  deleteOrder,
+};
@@ -0,0 +1,21 @@
+const Joi = require("joi");
+const { objectId, idParams } = require("../helpers/validate");
+
+const createPayment = {
+  body: Joi.object({
+    order: objectId.required(),
+  }),
+};
+
+const getPayment = {
+  params: idParams,
+};
+
+//The body is checked by the payment provider
+const handleNotification = {
+  params: Joi.object({
+    provider: Joi.string().required(),
+  }),
+};
+
+module.exports = { createPayment, getPayment, handleNotification };
@@ -0,0 +1,90 @@
+const Joi = require("joi");
+const { objectId, idParams } = require("../helpers/validate");
+
+const SORT_FIELDS = ["price", "dateCreated", "name"];
+
+const listProducts = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    inStock: Joi.boolean(),
+    sort: Joi.string().valid(
+      ...SORT_FIELDS,
+      ...SORT_FIELDS.map((field) => `-${field}`)
+    ),
+    search: Joi.string().trim(),
+    //Comma separated category ids
+    categories: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/)
+      .messages({
+        "string.pattern.base":
+          "{{#label}} must be a comma separated list of category ids",
+      }),
+  }),
+};
+
+const getProduct = {
+  params: idParams,
+};
+
+const productFields = {
+  name: Joi.string().trim(),
+  description: Joi.string().trim(),
+  detailDescription: Joi.string().allow(""),
+  price: Joi.number().min(0),
+  stock: Joi.number().integer().min(0),
+  category: objectId.allow(""),
+};
+
+const createProduct = {
+  body: Joi.object({
+    ...productFields,
+    name: productFields.name.required(),
+    description: productFields.description.required(),
+    stock: productFields.stock.required(),
+  }),
+};
+
+const updateProduct = {
+  params: idParams,
+  body: Joi.object(productFields),
+};
+
+const uploadGalleryImages = {
+  params: idParams,
+};
+
+const updateOptions = {
+  params: idParams,
+  body: Joi.object({
+    options: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().trim().required(),
+          values: Joi.array()
+            .items(Joi.string().trim())
+            .min(1)
+            .unique()
+            .required(),
+        })
+      )
+      .unique("name")
+      .required(),
+  }),
+};
+
+const deleteProduct = {
+  params: idParams,
+};
+
+module.exports = {
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  uploadGalleryImages,
+  updateOptions,
+  deleteProduct,
+};
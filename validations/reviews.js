@@ -0,0 +1,48 @@
+const Joi = require("joi");
+const { objectId } = require("../helpers/validate");
+
+const reviewFields = {
+  rating: Joi.number().integer().min(1).max(5),
+  text: Joi.string().trim().allow("").max(2000),
+};
+
+const productParams = Joi.object({
+  id: objectId.required(),
+});
+
+const reviewParams = Joi.object({
+  id: objectId.required(),
+  reviewId: objectId.required(),
+});
+
+const listReviews = {
+  params: productParams,
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+  }),
+};
+
+const createReview = {
+  params: productParams,
+  body: Joi.object({
+    ...reviewFields,
+    rating: reviewFields.rating.required(),
+  }),
+};
+
+const updateReview = {
+  params: reviewParams,
+  body: Joi.object(reviewFields).min(1),
+};
+
+const deleteReview = {
+  params: reviewParams,
+};
+
+module.exports = {
+  listReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+};
@@ -0,0 +1,75 @@
+const Joi = require("joi");
+const { idParams } = require("../helpers/validate");
+
+const phone = Joi.string()
+  .trim()
+  .pattern(/^\+?[0-9][0-9\s-]{5,19}$/)
+  .messages({
+    "string.pattern.base": "{{#label}} must be a valid phone number",
+  });
+
+const createUser = {
+  body: Joi.object({
+    name: Joi.string().trim().required(),
+    email: Joi.string().trim().lowercase().email().required(),
+    password: Joi.string().min(6).required(),
+    phone: phone.allow(""),
+  }),
+};
+
+const login = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    password: Joi.string().required(),
+  }),
+};
+
+const getUser = {
+  params: idParams,
+};
+
+const updateUser = {
+  params: idParams,
+  body: Joi.object({
+    name: Joi.string().trim(),
+    email: Joi.string().trim().lowercase().email(),
+    phone: phone.allow(""),
+    isAdmin: Joi.boolean(),
+  }).min(1),
+};
+
+const changePassword = {
+  params: idParams,
+  body: Joi.object({
+    oldPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required(),
+  }),
+};
+
+const requestPasswordReset = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+  }),
+};
+
+const resetPassword = {
+  body: Joi.object({
+    token: Joi.string().hex().required(),
+    newPassword: Joi.string().min(6).required(),
+  }),
+};
+
+const deleteUser = {
+  params: idParams,
+};
+
+module.exports = {
+  createUser,
+  login,
+  getUser,
+  updateUser,
+  changePassword,
+  requestPasswordReset,
+  resetPassword,
+  deleteUser,
+};
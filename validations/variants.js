@@ -0,0 +1,51 @@
+const Joi = require("joi");
+const { objectId } = require("../helpers/validate");
+
+const variantFields = {
+  sku: Joi.string().trim(),
+  //Value of every option of the product, e.g. { Size: "M", Color: "Navy" }
+  options: Joi.object().pattern(Joi.string(), Joi.string().trim()),
+  price: Joi.number().min(0).allow(null),
+  stock: Joi.number().integer().min(0),
+  //Id of one of the product images
+  image: objectId.allow(null),
+};
+
+const productParams = Joi.object({
+  id: objectId.required(),
+});
+
+const variantParams = Joi.object({
+  id: objectId.required(),
+  variantId: objectId.required(),
+});
+
+const listVariants = {
+  params: productParams,
+};
+
+const createVariant = {
+  params: productParams,
+  body: Joi.object({
+    ...variantFields,
+    sku: variantFields.sku.required(),
+    options: variantFields.options.required(),
+    stock: variantFields.stock.required(),
+  }),
+};
+
+const updateVariant = {
+  params: variantParams,
+  body: Joi.object(variantFields).min(1),
+};
+
+const deleteVariant = {
+  params: variantParams,
+};
+
+module.exports = {
+  listVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+};